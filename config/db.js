@@ -10,6 +10,24 @@ const connectDB = async () => {
     console.error('Error al conectar con MongoDB:', error.message);
     process.exit(1);
   }
+
+  await completarUbicacionesAproximadas();
+};
+
+// Función para calcular la ubicación aproximada de los usuarios y servicios
+// guardados antes de que existiera el campo: sin ella no aparecen en las
+// búsquedas geográficas (ver utils/privacy.js)
+const completarUbicacionesAproximadas = async () => {
+  try {
+    for (const Model of [require('../models/User'), require('../models/Service')]) {
+      const total = await Model.completarUbicacionesAproximadas();
+      if (total > 0) {
+        console.log(`Ubicación aproximada calculada para ${total} documentos de ${Model.modelName}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error al calcular las ubicaciones aproximadas:', error.message);
+  }
 };
 
 module.exports = connectDB;
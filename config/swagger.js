@@ -6,7 +6,8 @@ const options = {
     info: {
       title: 'LOCALAID API',
       version: '1.0.0',
-      description: 'API para la plataforma LOCALAID - Conectando servicios locales',
+      description: 'API para la plataforma LOCALAID - Conectando servicios locales. ' +
+        'Todas las respuestas incluyen un código estable (code) y un mensaje en español o inglés según la cabecera Accept-Language.',
       contact: {
         name: 'LOCALAID Team',
         email: 'contacto@localaid.com'
@@ -47,9 +48,13 @@ const options = {
               type: 'boolean',
               example: false
             },
+            code: {
+              type: 'string',
+              example: 'SERVICE_NOT_FOUND'
+            },
             message: {
               type: 'string',
-              example: 'Error message'
+              example: 'Servicio no encontrado'
             },
             error: {
               type: 'string',
@@ -73,13 +78,17 @@ const options = {
               format: 'email',
               example: 'juan@ejemplo.com'
             },
+            emailVerificado: {
+              type: 'boolean',
+              example: true
+            },
             telefono: {
               type: 'string',
               example: '+52 55 1234 5678'
             },
             rol: {
               type: 'string',
-              enum: ['oferente', 'solicitante'],
+              enum: ['oferente', 'solicitante', 'admin'],
               example: 'oferente'
             },
             skills: {
@@ -102,9 +111,43 @@ const options = {
                     type: 'number'
                   },
                   example: [-99.1332, 19.4326]
+                },
+                aproximada: {
+                  type: 'boolean',
+                  description: 'Presente cuando las coordenadas se han desplazado para proteger la ubicación exacta',
+                  example: true
                 }
               }
             },
+            distanciaKm: {
+              type: 'number',
+              description: 'Distancia en km al punto de búsqueda (solo en búsquedas por ubicación; si la ubicación es aproximada, se mide hasta ella)',
+              example: 2.35
+            },
+            radioServicioKm: {
+              type: 'number',
+              minimum: 1,
+              maximum: 100,
+              example: 15,
+              description: 'Área de servicio del oferente, en km desde su ubicación'
+            },
+            monedaPreferida: {
+              type: 'string',
+              enum: ['MXN', 'USD', 'EUR'],
+              example: 'MXN'
+            },
+            calificacionPromedio: {
+              type: 'number',
+              example: 4.7
+            },
+            totalResenas: {
+              type: 'integer',
+              example: 12
+            },
+            suspendido: {
+              type: 'boolean',
+              example: false
+            },
             fechaRegistro: {
               type: 'string',
               format: 'date-time',
@@ -134,12 +177,15 @@ const options = {
             },
             estado: {
               type: 'string',
-              enum: ['pendiente', 'en progreso', 'completado'],
+              enum: ['pendiente', 'en progreso', 'completado', 'cancelado'],
               example: 'pendiente'
             },
             creadoPor: {
               $ref: '#/components/schemas/User'
             },
+            asignadoA: {
+              $ref: '#/components/schemas/User'
+            },
             ubicacion: {
               type: 'object',
               properties: {
@@ -153,9 +199,19 @@ const options = {
                     type: 'number'
                   },
                   example: [-99.1332, 19.4326]
+                },
+                aproximada: {
+                  type: 'boolean',
+                  description: 'Presente cuando las coordenadas se han desplazado para proteger la ubicación exacta',
+                  example: true
                 }
               }
             },
+            distanciaKm: {
+              type: 'number',
+              description: 'Distancia en km al punto de búsqueda (solo en búsquedas por ubicación; si la ubicación es aproximada, se mide hasta ella)',
+              example: 2.35
+            },
             fechaPublicacion: {
               type: 'string',
               format: 'date-time',
@@ -170,6 +226,25 @@ const options = {
               enum: ['MXN', 'USD', 'EUR'],
               example: 'MXN'
             },
+            precioBase: {
+              type: 'number',
+              description: 'Precio normalizado a la moneda base (MXN)',
+              example: 150
+            },
+            precioConvertido: {
+              type: 'object',
+              description: 'Solo presente cuando se indica una moneda preferida',
+              properties: {
+                monto: {
+                  type: 'number',
+                  example: 8.57
+                },
+                moneda: {
+                  type: 'string',
+                  example: 'USD'
+                }
+              }
+            },
             duracionEstimada: {
               type: 'number',
               example: 2
@@ -180,6 +255,71 @@ const options = {
               example: 'horas'
             }
           }
+        },
+        ErroresValidacion: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            message: {
+              type: 'string',
+              example: 'Datos de servicio inválidos'
+            },
+            code: {
+              type: 'string',
+              example: 'SERVICE_DATA_INVALID'
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'titulo'
+                  },
+                  code: {
+                    type: 'string',
+                    example: 'TITLE_REQUIRED'
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'El título es obligatorio'
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        LimiteExcedido: {
+          description: 'Límite de peticiones excedido (RATE_LIMIT_EXCEEDED)',
+          headers: {
+            'Retry-After': {
+              description: 'Segundos que hay que esperar antes de volver a intentarlo',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Limit': {
+              description: 'Máximo de peticiones en la ventana',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Remaining': {
+              description: 'Peticiones restantes en la ventana',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Reset': {
+              description: 'Segundos hasta que se reinicia la ventana',
+              schema: { type: 'integer' }
+            }
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' }
+            }
+          }
         }
       }
     },
@@ -195,6 +335,30 @@ const options = {
       {
         name: "Servicios",
         description: "Endpoints para gestión de servicios"
+      },
+      {
+        name: "Postulaciones",
+        description: "Endpoints para postulaciones de oferentes a servicios"
+      },
+      {
+        name: "Reseñas",
+        description: "Endpoints para calificaciones entre participantes de servicios"
+      },
+      {
+        name: "Mensajes",
+        description: "Endpoints para conversaciones entre creadores y oferentes"
+      },
+      {
+        name: "Administración",
+        description: "Endpoints de moderación (requieren rol admin)"
+      },
+      {
+        name: "Tasas de cambio",
+        description: "Endpoints para consultar y actualizar las tasas de cambio entre monedas"
+      },
+      {
+        name: "Skills",
+        description: "Catálogo de skills de los oferentes, relacionadas con las categorías de servicio"
       }
     ]
   },
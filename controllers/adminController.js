@@ -0,0 +1,335 @@
+const User = require('../models/User');
+const Service = require('../models/Service');
+const Application = require('../models/Application');
+const Review = require('../models/Review');
+const Message = require('../models/Message');
+const { revocarSesionesUsuario } = require('../utils/tokens');
+const asyncHandler = require('../utils/asyncHandler');
+const { leerPaginacion } = require('../utils/pagination');
+const { visorPropio, asignarVisor } = require('../utils/privacy');
+const { BadRequestError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Función para escapar texto usado dentro de una expresión regular
+const escapeRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Listar usuarios (incluye suspendidos)
+// @route   GET /api/admin/users
+// @access  Private (Solo admin)
+const listUsers = asyncHandler(async (req, res) => {
+  const { rol, suspendido, q } = req.query;
+
+  const errors = [];
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors, { porDefecto: 20 });
+
+  if (q !== undefined && typeof q !== 'string') {
+    errors.push({ field: 'q', code: 'FIELD_NOT_STRING' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  const query = {};
+
+  // Filtrar por rol si se especifica
+  if (rol && ['oferente', 'solicitante', 'admin'].includes(rol)) {
+    query.rol = rol;
+  }
+
+  // Filtrar por estado de suspensión si se especifica
+  if (suspendido === 'true' || suspendido === 'false') {
+    query.suspendido = suspendido === 'true';
+  }
+
+  // Buscar por nombre o email
+  if (q) {
+    const regex = new RegExp(escapeRegex(q.trim()), 'i');
+    query.$or = [{ nombre: regex }, { email: regex }];
+  }
+
+  const users = await User.find(query)
+    .select('-password')
+    .sort({ fechaRegistro: -1 })
+    .limit(limite)
+    .skip(skip);
+
+  // Los administradores ven el contacto y la ubicación exacta de todos los usuarios
+  asignarVisor(users, visorPropio(req.user));
+
+  const total = await User.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    code: 'USERS_RETRIEVED',
+    message: req.t('USERS_RETRIEVED'),
+    data: {
+      users,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalUsers: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      }
+    }
+  });
+});
+
+// @desc    Suspender usuario
+// @route   PATCH /api/admin/users/:id/suspender
+// @access  Private (Solo admin)
+const suspendUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+
+  if (user.rol === 'admin') {
+    throw new BadRequestError('CANNOT_SUSPEND_ADMIN');
+  }
+
+  if (user.suspendido) {
+    throw new BadRequestError('USER_ALREADY_SUSPENDED');
+  }
+
+  user.suspendido = true;
+  user.fechaSuspension = new Date();
+  user.motivoSuspension = motivo;
+  await user.save();
+
+  // Cerrar todas las sesiones del usuario suspendido
+  await revocarSesionesUsuario(user._id);
+
+  asignarVisor(user, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'USER_SUSPENDED',
+    message: req.t('USER_SUSPENDED'),
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+// @desc    Reactivar usuario suspendido
+// @route   PATCH /api/admin/users/:id/reactivar
+// @access  Private (Solo admin)
+const reactivateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+
+  if (!user.suspendido) {
+    throw new BadRequestError('USER_NOT_SUSPENDED');
+  }
+
+  user.suspendido = false;
+  user.fechaSuspension = undefined;
+  user.motivoSuspension = undefined;
+  await user.save();
+
+  asignarVisor(user, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'USER_REACTIVATED',
+    message: req.t('USER_REACTIVATED'),
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+// @desc    Cerrar un servicio por moderación
+// @route   PATCH /api/admin/services/:id/cerrar
+// @access  Private (Solo admin)
+const closeService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  const service = await Service.findById(id);
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  if (['completado', 'cancelado'].includes(service.estado)) {
+    throw new BadRequestError('SERVICE_ALREADY_CLOSED');
+  }
+
+  await service.cerrarPorModeracion(motivo);
+
+  // Rechazar las postulaciones abiertas del servicio cerrado
+  await Application.updateMany(
+    { servicio: service._id, estado: 'pendiente' },
+    { estado: 'rechazada', fechaRespuesta: new Date() }
+  );
+
+  asignarVisor(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_CLOSED',
+    message: req.t('SERVICE_CLOSED'),
+    data: {
+      service
+    }
+  });
+});
+
+// @desc    Ocultar un servicio de los listados públicos
+// @route   PATCH /api/admin/services/:id/ocultar
+// @access  Private (Solo admin)
+const hideService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findByIdAndUpdate(
+    id,
+    { oculto: true },
+    { new: true }
+  );
+
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  asignarVisor(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_HIDDEN',
+    message: req.t('SERVICE_HIDDEN'),
+    data: {
+      service
+    }
+  });
+});
+
+// @desc    Volver a mostrar un servicio oculto
+// @route   PATCH /api/admin/services/:id/mostrar
+// @access  Private (Solo admin)
+const showService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findByIdAndUpdate(
+    id,
+    { oculto: false },
+    { new: true }
+  );
+
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  asignarVisor(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_SHOWN',
+    message: req.t('SERVICE_SHOWN'),
+    data: {
+      service
+    }
+  });
+});
+
+// @desc    Eliminar definitivamente un servicio y sus datos asociados
+// @route   DELETE /api/admin/services/:id
+// @access  Private (Solo admin)
+const purgeService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Usuarios cuya calificación depende de las reseñas del servicio
+  const afectados = await Review.distinct('destinatario', { servicio: service._id });
+
+  await Promise.all([
+    Application.deleteMany({ servicio: service._id }),
+    Message.deleteMany({ servicio: service._id }),
+    Review.deleteMany({ servicio: service._id })
+  ]);
+  await service.deleteOne();
+
+  // Recalcular la calificación de los usuarios afectados
+  await Promise.all(afectados.map(userId => Review.recalcularCalificacion(userId)));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_PURGED',
+    message: req.t('SERVICE_PURGED')
+  });
+});
+
+// @desc    Obtener estadísticas básicas de la plataforma
+// @route   GET /api/admin/estadisticas
+// @access  Private (Solo admin)
+const getStats = asyncHandler(async (req, res) => {
+  const [
+    usuariosPorRol,
+    usuariosSuspendidos,
+    serviciosPorEstado,
+    serviciosOcultos,
+    serviciosEliminados,
+    postulaciones,
+    resenas
+  ] = await Promise.all([
+    User.aggregate([{ $group: { _id: '$rol', total: { $sum: 1 } } }]),
+    User.countDocuments({ suspendido: true }),
+    Service.aggregate([{ $group: { _id: '$estado', total: { $sum: 1 } } }]),
+    Service.countDocuments({ oculto: true }),
+    Service.countDocuments({ eliminado: true }),
+    Application.countDocuments(),
+    Review.countDocuments()
+  ]);
+
+  // Convertir [{ _id, total }] en { clave: total }
+  const agrupar = (resultados) => resultados.reduce((acumulado, { _id, total }) => {
+    acumulado[_id] = total;
+    return acumulado;
+  }, {});
+
+  const porRol = agrupar(usuariosPorRol);
+  const porEstado = agrupar(serviciosPorEstado);
+
+  res.status(200).json({
+    success: true,
+    code: 'STATS_RETRIEVED',
+    message: req.t('STATS_RETRIEVED'),
+    data: {
+      usuarios: {
+        total: Object.values(porRol).reduce((suma, total) => suma + total, 0),
+        porRol,
+        suspendidos: usuariosSuspendidos
+      },
+      servicios: {
+        total: Object.values(porEstado).reduce((suma, total) => suma + total, 0),
+        porEstado,
+        ocultos: serviciosOcultos,
+        eliminados: serviciosEliminados
+      },
+      postulaciones,
+      resenas
+    }
+  });
+});
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  reactivateUser,
+  closeService,
+  hideService,
+  showService,
+  purgeService,
+  getStats
+};
@@ -0,0 +1,239 @@
+const Application = require('../models/Application');
+const Service = require('../models/Service');
+const asyncHandler = require('../utils/asyncHandler');
+const { visorPropio, asignarVisor } = require('../utils/privacy');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// @desc    Postularse a un servicio
+// @route   POST /api/services/:id/postulaciones
+// @access  Private (Solo oferentes)
+const createApplication = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { mensaje, precioPropuesto, moneda } = req.body;
+
+  // Solo los oferentes pueden postularse
+  if (req.user.rol !== 'oferente') {
+    throw new ForbiddenError('ONLY_PROVIDERS_CAN_APPLY');
+  }
+
+  // Validar datos obligatorios
+  if (!mensaje || precioPropuesto === undefined || precioPropuesto === null) {
+    throw new BadRequestError('APPLICATION_FIELDS_REQUIRED');
+  }
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // No permitir postularse a un servicio propio
+  if (service.creadoPor.toString() === req.user._id.toString()) {
+    throw new BadRequestError('CANNOT_APPLY_OWN_SERVICE');
+  }
+
+  // Solo se aceptan postulaciones mientras el servicio está pendiente
+  if (service.estado !== 'pendiente') {
+    throw new BadRequestError('SERVICE_NOT_OPEN');
+  }
+
+  if (await Application.exists({ servicio: service._id, oferente: req.user._id })) {
+    throw new ConflictError('APPLICATION_ALREADY_EXISTS');
+  }
+
+  const newApplication = new Application({
+    servicio: service._id,
+    oferente: req.user._id,
+    mensaje,
+    precioPropuesto,
+    moneda: moneda || service.moneda
+  });
+
+  await newApplication.save();
+
+  await newApplication.populate('oferente', 'nombre rol skills');
+
+  res.status(201).json({
+    success: true,
+    code: 'APPLICATION_SENT',
+    message: req.t('APPLICATION_SENT'),
+    data: {
+      application: newApplication
+    }
+  });
+});
+
+// @desc    Listar postulaciones de un servicio
+// @route   GET /api/services/:id/postulaciones
+// @access  Private (El creador ve todas, un oferente solo la suya)
+const getApplications = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { estado } = req.query;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  const query = { servicio: service._id };
+  const esCreador = service.creadoPor.toString() === req.user._id.toString();
+
+  if (!esCreador) {
+    if (req.user.rol !== 'oferente') {
+      throw new ForbiddenError('APPLICATIONS_VIEW_FORBIDDEN');
+    }
+    query.oferente = req.user._id;
+  }
+
+  // Filtrar por estado si se especifica
+  if (estado && ['pendiente', 'aceptada', 'rechazada'].includes(estado)) {
+    query.estado = estado;
+  }
+
+  const applications = await Application.find(query)
+    .populate('oferente', 'nombre rol skills')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    code: 'APPLICATIONS_RETRIEVED',
+    message: req.t('APPLICATIONS_RETRIEVED'),
+    data: {
+      applications,
+      total: applications.length
+    }
+  });
+});
+
+// @desc    Aceptar una postulación
+// @route   PATCH /api/services/:id/postulaciones/:postulacionId/aceptar
+// @access  Private (Solo el creador)
+const acceptApplication = asyncHandler(async (req, res) => {
+  const { id, postulacionId } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('APPLICATIONS_MANAGE_FORBIDDEN');
+  }
+
+  const application = await Application.findOne({ _id: postulacionId, servicio: service._id });
+  if (!application) {
+    throw new NotFoundError('APPLICATION_NOT_FOUND');
+  }
+
+  if (!application.estaAbierta()) {
+    throw new BadRequestError('APPLICATION_ALREADY_ANSWERED', { estado: application.estado });
+  }
+
+  // Asignar el oferente y pasar el servicio a "en progreso" (solo si sigue pendiente)
+  const asignado = await service.asignarYMarcarEnProgreso(application.oferente);
+  if (!asignado) {
+    throw new BadRequestError('SERVICE_NOT_PENDING');
+  }
+
+  const fechaRespuesta = new Date();
+
+  const aceptada = await Application.findOneAndUpdate(
+    { _id: application._id, estado: 'pendiente' },
+    { estado: 'aceptada', fechaRespuesta },
+    { new: true }
+  );
+
+  // La postulación se respondió o retiró mientras tanto: deshacer la asignación
+  if (!aceptada) {
+    await asignado.deshacerAsignacion(application.oferente);
+
+    const actual = await Application.findById(application._id).select('estado');
+    if (!actual) {
+      throw new NotFoundError('APPLICATION_NOT_FOUND');
+    }
+    throw new BadRequestError('APPLICATION_ALREADY_ANSWERED', { estado: actual.estado });
+  }
+
+  // Rechazar el resto de postulaciones abiertas del servicio
+  await Application.updateMany(
+    {
+      servicio: service._id,
+      _id: { $ne: application._id },
+      estado: 'pendiente'
+    },
+    {
+      estado: 'rechazada',
+      fechaRespuesta
+    }
+  );
+
+  await aceptada.populate('oferente', 'nombre rol skills');
+  await asignado.populate([
+    { path: 'creadoPor', select: 'nombre email telefono rol privacidad' },
+    { path: 'asignadoA', select: 'nombre rol' }
+  ]);
+  asignarVisor([asignado, asignado.creadoPor], visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'APPLICATION_ACCEPTED',
+    message: req.t('APPLICATION_ACCEPTED'),
+    data: {
+      application: aceptada,
+      service: asignado
+    }
+  });
+});
+
+// @desc    Rechazar una postulación
+// @route   PATCH /api/services/:id/postulaciones/:postulacionId/rechazar
+// @access  Private (Solo el creador)
+const rejectApplication = asyncHandler(async (req, res) => {
+  const { id, postulacionId } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('APPLICATIONS_MANAGE_FORBIDDEN');
+  }
+
+  const application = await Application.findOne({ _id: postulacionId, servicio: service._id });
+  if (!application) {
+    throw new NotFoundError('APPLICATION_NOT_FOUND');
+  }
+
+  if (!application.estaAbierta()) {
+    throw new BadRequestError('APPLICATION_ALREADY_ANSWERED', { estado: application.estado });
+  }
+
+  application.estado = 'rechazada';
+  application.fechaRespuesta = new Date();
+  await application.save();
+
+  await application.populate('oferente', 'nombre rol skills');
+
+  res.status(200).json({
+    success: true,
+    code: 'APPLICATION_REJECTED',
+    message: req.t('APPLICATION_REJECTED'),
+    data: {
+      application
+    }
+  });
+});
+
+module.exports = {
+  createApplication,
+  getApplications,
+  acceptApplication,
+  rejectApplication
+};
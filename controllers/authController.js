@@ -1,94 +1,402 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const {
+  enviarCorreoRestablecimiento,
+  enviarCorreoVerificacion
+} = require('../utils/emails');
+const {
+  crearSesion,
+  crearDesafioDosFactores,
+  verificarDesafioDosFactores,
+  rotarRefreshToken,
+  revocarSesion,
+  revocarSesionesUsuario,
+  consumirTokenUnUso
+} = require('../utils/tokens');
+const {
+  MAX_FALLOS_CUENTA,
+  ipDelCliente,
+  comprobarBloqueo,
+  registrarFallo,
+  reiniciarFallos
+} = require('../utils/loginAttempts');
+const { verificarSegundoFactor } = require('../utils/twoFactor');
+const { visorPropio, asignarVisor } = require('../utils/privacy');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError
+} = require('../utils/errors');
 
-// Función para generar token JWT
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
+// Códigos de respuesta según el motivo del bloqueo del inicio de sesión
+const CODIGOS_BLOQUEO = {
+  cuenta: 'LOGIN_ACCOUNT_LOCKED',
+  ip: 'LOGIN_IP_LOCKED',
+  retraso: 'LOGIN_RETRY_LATER'
+};
+
+// Función para construir el error de un inicio de sesión bloqueado
+const errorDeBloqueo = ({ motivo, segundos }) => new TooManyRequestsError(
+  CODIGOS_BLOQUEO[motivo],
+  { segundos, minutos: Math.ceil(segundos / 60) },
+  segundos
+);
+
+// Función para registrar un intento fallido (contraseña o código de dos pasos)
+// y construir el error que se devuelve. Cuando quedan pocos intentos antes del
+// bloqueo se usa el código con aviso, que indica cuántos quedan.
+const errorDeIntentoFallido = async (email, ip, { code, codeConAviso }) => {
+  const { intentosRestantes, bloqueo } = await registrarFallo(email, ip);
+
+  if (bloqueo) {
+    return errorDeBloqueo(bloqueo);
+  }
+
+  if (intentosRestantes <= Math.min(2, MAX_FALLOS_CUENTA - 1)) {
+    return new UnauthorizedError(codeConAviso, { intentos: intentosRestantes });
+  }
+  return new UnauthorizedError(code);
+};
+
+// Función para iniciar la sesión de un usuario ya autenticado y responder con
+// el access token de corta duración y el refresh token rotativo
+const responderInicioSesion = async (req, res, user, extra = {}) => {
+  const { token, refreshToken, expiresIn } = await crearSesion(user._id, req);
+
+  asignarVisor(user, visorPropio(user));
+
+  res.status(200).json({
+    success: true,
+    code: 'LOGIN_SUCCESS',
+    message: req.t('LOGIN_SUCCESS'),
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      expiresIn,
+      ...extra
+    }
   });
 };
 
 // @desc    Iniciar sesión
 // @route   POST /api/auth/login
 // @access  Public
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validar que se envíen email y contraseña
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email y contraseña son obligatorios'
-      });
-    }
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Buscar usuario por email
-    const user = await User.findOne({ email: email.toLowerCase() });
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas'
-      });
-    }
+  // Validar que se envíen email y contraseña
+  if (!email || !password) {
+    throw new BadRequestError('CREDENTIALS_REQUIRED');
+  }
 
-    // Verificar contraseña
-    const isPasswordValid = await user.comparePassword(password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas'
-      });
-    }
+  // Rechazar el intento si la cuenta o la IP están bloqueadas o en espera
+  const bloqueo = await comprobarBloqueo(email, ipDelCliente(req));
+  if (bloqueo) {
+    throw errorDeBloqueo(bloqueo);
+  }
+
+  // Buscar usuario por email y verificar contraseña. Los fallos se cuentan
+  // también para emails que no existen, para no revelar qué cuentas hay.
+  const user = await User.findOne({ email: email.toLowerCase() });
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
+
+  if (!isPasswordValid) {
+    throw await errorDeIntentoFallido(email, ipDelCliente(req), {
+      code: 'INVALID_CREDENTIALS',
+      codeConAviso: 'INVALID_CREDENTIALS_ATTEMPTS_LEFT'
+    });
+  }
 
-    // Generar token JWT
-    const token = generateToken(user._id);
+  if (user.suspendido) {
+    throw new ForbiddenError('ACCOUNT_SUSPENDED');
+  }
+
+  // Con la verificación en dos pasos activa, la sesión se emite al canjear el
+  // token de desafío junto con un código válido. Los fallos de la cuenta no se
+  // reinician hasta completar el segundo paso.
+  if (user.dosFactores && user.dosFactores.activo) {
+    const { challengeToken, expiresIn } = crearDesafioDosFactores(user._id);
 
-    res.status(200).json({
+    return res.status(200).json({
       success: true,
-      message: 'Inicio de sesión exitoso',
+      code: 'TWO_FACTOR_REQUIRED',
+      message: req.t('TWO_FACTOR_REQUIRED'),
       data: {
-        user: user.toJSON(),
-        token
+        requiresTwoFactor: true,
+        challengeToken,
+        expiresIn
       }
     });
+  }
+
+  await reiniciarFallos(email);
+  await responderInicioSesion(req, res, user);
+});
+
+// @desc    Completar el inicio de sesión con un código de dos pasos
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requiere el token de desafío devuelto por el login)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    throw new BadRequestError('TWO_FACTOR_CODE_REQUIRED');
+  }
 
-  } catch (error) {
-    console.error('Error en login:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  const userId = verificarDesafioDosFactores(challengeToken);
+  const user = await User.findById(userId);
+
+  if (!user || !user.dosFactores || !user.dosFactores.activo) {
+    throw new UnauthorizedError('INVALID_CHALLENGE_TOKEN');
+  }
+
+  // Los códigos incorrectos cuentan como intentos fallidos de la cuenta
+  const bloqueo = await comprobarBloqueo(user.email, ipDelCliente(req));
+  if (bloqueo) {
+    throw errorDeBloqueo(bloqueo);
+  }
+
+  const metodo = verificarSegundoFactor(user, code);
+
+  if (!metodo) {
+    throw await errorDeIntentoFallido(user.email, ipDelCliente(req), {
+      code: 'INVALID_TWO_FACTOR_CODE',
+      codeConAviso: 'INVALID_TWO_FACTOR_CODE_ATTEMPTS_LEFT'
     });
   }
-};
+
+  await user.save();
+  await reiniciarFallos(user.email);
+
+  if (user.suspendido) {
+    throw new ForbiddenError('ACCOUNT_SUSPENDED');
+  }
+
+  // Al usar un código de recuperación se indica cuántos quedan
+  await responderInicioSesion(req, res, user, metodo === 'recuperacion'
+    ? { recoveryCodesRemaining: user.dosFactores.codigosRecuperacion.length }
+    : {});
+});
 
 // @desc    Verificar token y obtener usuario actual
 // @route   GET /api/auth/me
 // @access  Private
-const getMe = async (req, res) => {
-  try {
-    // El usuario ya viene del middleware de autenticación
-    res.status(200).json({
-      success: true,
-      data: {
-        user: req.user.toJSON()
-      }
-    });
-  } catch (error) {
-    console.error('Error en getMe:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+const getMe = asyncHandler(async (req, res) => {
+  // El usuario ya viene del middleware de autenticación
+  asignarVisor(req.user, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'USER_RETRIEVED',
+    message: req.t('USER_RETRIEVED'),
+    data: {
+      user: req.user.toJSON()
+    }
+  });
+});
+
+// @desc    Renovar access token usando un refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new BadRequestError('REFRESH_TOKEN_REQUIRED');
   }
-};
+
+  const resultado = await rotarRefreshToken(refreshToken, req);
+
+  // Verificar que el usuario siga existiendo
+  const user = await User.findById(resultado.userId);
+  if (!user) {
+    throw new UnauthorizedError('TOKEN_USER_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    code: 'TOKEN_REFRESHED',
+    message: req.t('TOKEN_REFRESHED'),
+    data: {
+      token: resultado.token,
+      refreshToken: resultado.refreshToken,
+      expiresIn: resultado.expiresIn
+    }
+  });
+});
+
+// @desc    Cerrar la sesión actual
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  await revocarSesion(req.familiaSesion);
+
+  res.status(200).json({
+    success: true,
+    code: 'LOGGED_OUT',
+    message: req.t('LOGGED_OUT')
+  });
+});
+
+// @desc    Cerrar todas las sesiones del usuario
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+  await revocarSesionesUsuario(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    code: 'ALL_SESSIONS_CLOSED',
+    message: req.t('ALL_SESSIONS_CLOSED')
+  });
+});
+
+// @desc    Solicitar restablecimiento de contraseña
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new BadRequestError('EMAIL_REQUIRED');
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  // Solo enviar el correo si el usuario existe, pero responder siempre igual
+  // para no revelar qué emails están registrados
+  if (user) {
+    try {
+      await enviarCorreoRestablecimiento(user);
+    } catch (mailError) {
+      console.error('Error al enviar correo de restablecimiento:', mailError);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    code: 'PASSWORD_RESET_REQUESTED',
+    message: req.t('PASSWORD_RESET_REQUESTED')
+  });
+});
+
+// @desc    Restablecer contraseña con un token de un solo uso
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    throw new BadRequestError('RESET_FIELDS_REQUIRED');
+  }
+
+  // Validar longitud de nueva contraseña
+  if (newPassword.length < 6) {
+    throw new BadRequestError('NEW_PASSWORD_TOO_SHORT');
+  }
+
+  const tokenUnUso = await consumirTokenUnUso(token, 'reset-password');
+  if (!tokenUnUso) {
+    throw new BadRequestError('INVALID_OR_EXPIRED_TOKEN');
+  }
+
+  const user = await User.findById(tokenUnUso.usuario);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+
+  // El enlace solo vale para el email al que se envió
+  if (user.email !== tokenUnUso.email) {
+    throw new BadRequestError('INVALID_OR_EXPIRED_TOKEN');
+  }
+
+  // Actualizar contraseña
+  user.password = newPassword;
+  await user.save();
+
+  // Invalidar todas las sesiones existentes
+  await revocarSesionesUsuario(user._id);
+
+  res.status(200).json({
+    success: true,
+    code: 'PASSWORD_RESET',
+    message: req.t('PASSWORD_RESET')
+  });
+});
+
+// @desc    Verificar email con el token enviado por correo
+// @route   GET /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    throw new BadRequestError('ONE_TIME_TOKEN_REQUIRED');
+  }
+
+  const tokenUnUso = await consumirTokenUnUso(token, 'verificacion-email');
+  if (!tokenUnUso) {
+    throw new BadRequestError('INVALID_OR_EXPIRED_TOKEN');
+  }
+
+  // Solo se verifica el email al que se envió el enlace: si el usuario lo
+  // cambió después, el enlace ya no sirve
+  const user = await User.findOneAndUpdate(
+    { _id: tokenUnUso.usuario, email: tokenUnUso.email },
+    {
+      emailVerificado: true,
+      fechaVerificacionEmail: new Date()
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new BadRequestError('INVALID_OR_EXPIRED_TOKEN');
+  }
+
+  // El enlace de verificación acredita que quien consulta es el propio usuario
+  asignarVisor(user, visorPropio(user));
+
+  res.status(200).json({
+    success: true,
+    code: 'EMAIL_VERIFIED',
+    message: req.t('EMAIL_VERIFIED'),
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+// @desc    Reenviar correo de verificación de email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.emailVerificado) {
+    throw new BadRequestError('EMAIL_ALREADY_VERIFIED');
+  }
+
+  await enviarCorreoVerificacion(req.user);
+
+  res.status(200).json({
+    success: true,
+    code: 'VERIFICATION_EMAIL_SENT',
+    message: req.t('VERIFICATION_EMAIL_SENT')
+  });
+});
 
 module.exports = {
   login,
-  getMe
+  verifyTwoFactorLogin,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
 
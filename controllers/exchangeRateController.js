@@ -0,0 +1,59 @@
+const { MONEDA_BASE, obtenerTasas, actualizarTasa } = require('../utils/exchangeRates');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError } = require('../utils/errors');
+
+const MONEDAS = ['MXN', 'USD', 'EUR'];
+
+// @desc    Obtener las tasas de cambio vigentes
+// @route   GET /api/tasas-cambio
+// @access  Public
+const getRates = asyncHandler(async (req, res) => {
+  const tasas = await obtenerTasas();
+
+  res.status(200).json({
+    success: true,
+    code: 'RATES_RETRIEVED',
+    message: req.t('RATES_RETRIEVED'),
+    data: {
+      base: MONEDA_BASE,
+      tasas
+    }
+  });
+});
+
+// @desc    Actualizar la tasa de cambio de una moneda
+// @route   PUT /api/tasas-cambio/:moneda
+// @access  Private (Solo admin)
+const updateRate = asyncHandler(async (req, res) => {
+  const { moneda } = req.params;
+  const tasa = Number(req.body.tasa);
+
+  if (!MONEDAS.includes(moneda)) {
+    throw new BadRequestError('INVALID_CURRENCY', { values: MONEDAS.join(', ') });
+  }
+
+  if (req.body.tasa === undefined || isNaN(tasa) || tasa <= 0) {
+    throw new BadRequestError('RATE_NOT_POSITIVE');
+  }
+
+  // La moneda base siempre vale 1
+  if (moneda === MONEDA_BASE && tasa !== 1) {
+    throw new BadRequestError('BASE_RATE_MUST_BE_ONE', { moneda: MONEDA_BASE });
+  }
+
+  const exchangeRate = await actualizarTasa(moneda, tasa, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    code: 'RATE_UPDATED',
+    message: req.t('RATE_UPDATED'),
+    data: {
+      exchangeRate
+    }
+  });
+});
+
+module.exports = {
+  getRates,
+  updateRate
+};
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Service = require('../models/Service');
+const Application = require('../models/Application');
+const asyncHandler = require('../utils/asyncHandler');
+const { leerPaginacion } = require('../utils/pagination');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+// Función para determinar la contraparte de una conversación sobre un servicio.
+// El creador conversa con el oferente asignado o con cualquier oferente postulado;
+// un oferente solo puede conversar con el creador si está asignado o postulado.
+// Devuelve el ID de la contraparte o lanza un error si no hay acceso.
+const resolverContraparte = async (service, user, contraparteId) => {
+  const userId = user._id.toString();
+  const creadorId = service.creadoPor.toString();
+  const asignadoId = service.asignadoA ? service.asignadoA.toString() : null;
+
+  if (userId === creadorId) {
+    const oferenteId = contraparteId || asignadoId;
+
+    if (!oferenteId) {
+      throw new BadRequestError('COUNTERPART_REQUIRED');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(oferenteId)) {
+      throw new BadRequestError('INVALID_ID');
+    }
+
+    const esInteresado = oferenteId === asignadoId ||
+      await Application.exists({ servicio: service._id, oferente: oferenteId });
+
+    if (!esInteresado) {
+      throw new ForbiddenError('COUNTERPART_NOT_ALLOWED');
+    }
+
+    return oferenteId;
+  }
+
+  const esInteresado = userId === asignadoId ||
+    await Application.exists({ servicio: service._id, oferente: user._id });
+
+  if (!esInteresado) {
+    throw new ForbiddenError('CONVERSATION_ACCESS_DENIED');
+  }
+
+  return creadorId;
+};
+
+// @desc    Obtener mensajes de la conversación de un servicio
+// @route   GET /api/services/:id/mensajes
+// @access  Private (Creador y oferente postulado o asignado)
+const getMessages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { con } = req.query;
+
+  const errors = [];
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors, { porDefecto: 50 });
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado || service.oculto) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  const contraparte = await resolverContraparte(service, req.user, con);
+
+  const filtro = Message.filtroHilo(service._id, req.user._id, contraparte);
+
+  // Paginación (los mensajes más recientes primero)
+  const messages = await Message.find(filtro)
+    .populate('remitente', 'nombre rol')
+    .sort({ createdAt: -1 })
+    .limit(limite)
+    .skip(skip);
+
+  const total = await Message.countDocuments(filtro);
+
+  // Marcar como leídos los mensajes recibidos en este hilo
+  await Message.updateMany(
+    {
+      servicio: service._id,
+      remitente: contraparte,
+      destinatario: req.user._id,
+      leido: false
+    },
+    {
+      leido: true,
+      fechaLectura: new Date()
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    code: 'MESSAGES_RETRIEVED',
+    message: req.t('MESSAGES_RETRIEVED'),
+    data: {
+      messages: messages.reverse(),
+      contraparte,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalMessages: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      }
+    }
+  });
+});
+
+// @desc    Enviar mensaje en la conversación de un servicio
+// @route   POST /api/services/:id/mensajes
+// @access  Private (Creador y oferente postulado o asignado)
+const sendMessage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { contenido, destinatario } = req.body;
+
+  // Validar datos obligatorios
+  if (contenido !== undefined && contenido !== null && typeof contenido !== 'string') {
+    throw new ValidationError('VALIDATION_ERROR', [{ field: 'contenido', code: 'FIELD_NOT_STRING' }]);
+  }
+
+  if (!contenido || !contenido.trim()) {
+    throw new BadRequestError('MESSAGE_CONTENT_REQUIRED');
+  }
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado || service.oculto) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  const contraparte = await resolverContraparte(service, req.user, destinatario);
+
+  const newMessage = new Message({
+    servicio: service._id,
+    remitente: req.user._id,
+    destinatario: contraparte,
+    contenido
+  });
+
+  await newMessage.save();
+
+  await newMessage.populate('remitente', 'nombre rol');
+
+  res.status(201).json({
+    success: true,
+    code: 'MESSAGE_SENT',
+    message: req.t('MESSAGE_SENT'),
+    data: {
+      message: newMessage
+    }
+  });
+});
+
+// @desc    Listar conversaciones del usuario autenticado
+// @route   GET /api/users/me/conversaciones
+// @access  Private
+const getConversations = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const conversations = await Message.aggregate([
+    {
+      $match: {
+        $or: [{ remitente: userId }, { destinatario: userId }]
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          servicio: '$servicio',
+          contraparte: {
+            $cond: [{ $eq: ['$remitente', userId] }, '$destinatario', '$remitente']
+          }
+        },
+        ultimoMensaje: { $first: '$$ROOT' },
+        noLeidos: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$destinatario', userId] }, { $eq: ['$leido', false] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { 'ultimoMensaje.createdAt': -1 } },
+    {
+      $project: {
+        _id: 0,
+        servicio: '$_id.servicio',
+        contraparte: '$_id.contraparte',
+        ultimoMensaje: {
+          _id: '$ultimoMensaje._id',
+          remitente: '$ultimoMensaje.remitente',
+          contenido: '$ultimoMensaje.contenido',
+          leido: '$ultimoMensaje.leido',
+          createdAt: '$ultimoMensaje.createdAt'
+        },
+        noLeidos: 1
+      }
+    }
+  ]);
+
+  await Message.populate(conversations, [
+    { path: 'servicio', model: 'Service', select: 'titulo estado categoria' },
+    { path: 'contraparte', model: 'User', select: 'nombre rol' }
+  ]);
+
+  const totalNoLeidos = conversations.reduce((total, conversation) => total + conversation.noLeidos, 0);
+
+  res.status(200).json({
+    success: true,
+    code: 'CONVERSATIONS_RETRIEVED',
+    message: req.t('CONVERSATIONS_RETRIEVED'),
+    data: {
+      conversations,
+      totalNoLeidos
+    }
+  });
+});
+
+module.exports = {
+  getMessages,
+  sendMessage,
+  getConversations
+};
@@ -0,0 +1,162 @@
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { leerPaginacion } = require('../utils/pagination');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} = require('../utils/errors');
+
+// @desc    Calificar a la contraparte de un servicio completado
+// @route   POST /api/services/:id/resenas
+// @access  Private (Solo el creador o el oferente asignado)
+const createReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { calificacion, comentario } = req.body;
+
+  // Validar datos obligatorios
+  if (calificacion === undefined || calificacion === null) {
+    throw new BadRequestError('RATING_REQUIRED');
+  }
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado || service.oculto) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Solo se pueden calificar servicios completados
+  if (service.estado !== 'completado') {
+    throw new BadRequestError('SERVICE_NOT_COMPLETED');
+  }
+
+  if (!service.asignadoA) {
+    throw new BadRequestError('SERVICE_NOT_ASSIGNED');
+  }
+
+  // Determinar la contraparte según quién califica
+  const userId = req.user._id.toString();
+  let destinatario;
+
+  if (service.creadoPor.toString() === userId) {
+    destinatario = service.asignadoA;
+  } else if (service.asignadoA.toString() === userId) {
+    destinatario = service.creadoPor;
+  } else {
+    throw new ForbiddenError('ONLY_PARTICIPANTS_CAN_REVIEW');
+  }
+
+  if (await Review.exists({ servicio: service._id, autor: req.user._id })) {
+    throw new ConflictError('REVIEW_ALREADY_EXISTS');
+  }
+
+  const newReview = new Review({
+    servicio: service._id,
+    autor: req.user._id,
+    destinatario,
+    calificacion,
+    comentario
+  });
+
+  await newReview.save();
+
+  // Actualizar la calificación agregada del destinatario
+  const resumen = await Review.recalcularCalificacion(destinatario);
+
+  await newReview.populate([
+    { path: 'autor', select: 'nombre rol' },
+    { path: 'destinatario', select: 'nombre rol' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    code: 'REVIEW_CREATED',
+    message: req.t('REVIEW_CREATED'),
+    data: {
+      review: newReview,
+      calificacionDestinatario: resumen
+    }
+  });
+});
+
+// @desc    Listar reseñas de un servicio
+// @route   GET /api/services/:id/resenas
+// @access  Public
+const getServiceReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado || service.oculto) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  const reviews = await Review.find({ servicio: service._id })
+    .populate('autor', 'nombre rol')
+    .populate('destinatario', 'nombre rol')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    code: 'REVIEWS_RETRIEVED',
+    message: req.t('REVIEWS_RETRIEVED'),
+    data: {
+      reviews,
+      total: reviews.length
+    }
+  });
+});
+
+// @desc    Listar reseñas recibidas por un usuario
+// @route   GET /api/users/:id/resenas
+// @access  Public
+const getUserReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const errors = [];
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  const user = await User.findById(id).select('nombre calificacionPromedio totalResenas');
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+
+  const reviews = await Review.find({ destinatario: user._id })
+    .populate('autor', 'nombre rol')
+    .populate('servicio', 'titulo categoria')
+    .sort({ createdAt: -1 })
+    .limit(limite)
+    .skip(skip);
+
+  const total = await Review.countDocuments({ destinatario: user._id });
+
+  res.status(200).json({
+    success: true,
+    code: 'REVIEWS_RETRIEVED',
+    message: req.t('REVIEWS_RETRIEVED'),
+    data: {
+      reviews,
+      calificacionPromedio: user.calificacionPromedio,
+      totalResenas: user.totalResenas,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalReviews: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      }
+    }
+  });
+});
+
+module.exports = {
+  createReview,
+  getServiceReviews,
+  getUserReviews
+};
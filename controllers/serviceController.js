@@ -1,408 +1,1002 @@
 const Service = require('../models/Service');
 const User = require('../models/User');
+const Application = require('../models/Application');
+const {
+  MONEDA_BASE,
+  obtenerTasas,
+  convertir,
+  aMonedaBase
+} = require('../utils/exchangeRates');
+const asyncHandler = require('../utils/asyncHandler');
+const { leerPaginacion } = require('../utils/pagination');
+const {
+  CELDA_MINIMA_GRADOS,
+  obtenerVisor,
+  visorPropio,
+  asignarVisor,
+  ubicacionPublica
+} = require('../utils/privacy');
+const {
+  MAXIMO_RESULTADOS_ZONA,
+  tieneUbicacion,
+  leerRadio,
+  leerBusquedaGeo,
+  leerZonaGeo,
+  leerZoom,
+  tamanoCelda,
+  buscarCercanos
+} = require('../utils/geo');
+const {
+  PESOS,
+  RADIO_CANDIDATOS_KM,
+  MAXIMO_CANDIDATOS,
+  terminosDelServicio,
+  puntuarCandidato
+} = require('../utils/matching');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError
+} = require('../utils/errors');
+
+// Campos por los que se permite ordenar el listado de servicios
+const CAMPOS_ORDENAMIENTO = ['fechaPublicacion', 'precio', 'titulo', 'createdAt', 'relevancia', 'distancia'];
+const MONEDAS = ['MXN', 'USD', 'EUR'];
+const UNIDADES_DURACION = Object.keys(Service.HORAS_POR_UNIDAD);
+
+// Campos del creador que se incluyen con populate. La privacidad se necesita
+// para decidir si se muestran el email y el teléfono.
+const CAMPOS_CREADOR = 'nombre email telefono rol privacidad';
+
+// Función para asignar a los servicios y a los usuarios incluidos en ellos el
+// visor de la petición, de modo que la ubicación y el contacto se muestren
+// según la privacidad
+const aplicarPrivacidad = (services, visor) => {
+  [].concat(services).forEach(service => {
+    asignarVisor([service, service.creadoPor, service.asignadoA], visor);
+  });
+};
+
+// Función para agregar al servicio su precio convertido a la moneda preferida
+const conPrecioConvertido = (service, monedaPreferida, tasas) => {
+  const serviceData = service.toJSON();
+  serviceData.precioConvertido = {
+    monto: convertir(service.precio, service.moneda, monedaPreferida, tasas),
+    moneda: monedaPreferida
+  };
+  return serviceData;
+};
 
 // @desc    Crear nuevo servicio
 // @route   POST /api/services
 // @access  Private
-const createService = async (req, res) => {
-  try {
-    const {
-      titulo,
-      descripcion,
-      categoria,
-      ubicacion,
-      precio,
-      moneda,
-      duracionEstimada,
-      unidadDuracion
-    } = req.body;
-
-    // Validar datos obligatorios
-    if (!titulo || !descripcion || !categoria) {
-      return res.status(400).json({
-        success: false,
-        message: 'Título, descripción y categoría son obligatorios'
-      });
-    }
+// El cuerpo llega validado y filtrado por createServiceSchema
+const createService = asyncHandler(async (req, res) => {
+  const {
+    titulo,
+    descripcion,
+    categoria,
+    ubicacion,
+    precio,
+    moneda,
+    duracionEstimada,
+    unidadDuracion
+  } = req.body;
+
+  // Crear nuevo servicio
+  const serviceData = {
+    titulo,
+    descripcion,
+    categoria,
+    creadoPor: req.user._id, // Usuario autenticado
+    precio: precio || 0,
+    moneda: moneda || 'MXN',
+    duracionEstimada: duracionEstimada || 1,
+    unidadDuracion: unidadDuracion || 'horas'
+  };
+
+  // Solo agregar ubicación si se proporciona
+  if (ubicacion) {
+    serviceData.ubicacion = ubicacion;
+  }
 
-    // Validar coordenadas de ubicación si se proporcionan
-    if (ubicacion && (!ubicacion.coordinates || ubicacion.coordinates.length !== 2)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Las coordenadas de ubicación deben ser [longitud, latitud]'
-      });
-    }
+  const newService = new Service(serviceData);
 
-    // Crear nuevo servicio
-    const serviceData = {
-      titulo,
-      descripcion,
-      categoria,
-      creadoPor: req.user._id, // Usuario autenticado
-      precio: precio || 0,
-      moneda: moneda || 'MXN',
-      duracionEstimada: duracionEstimada || 1,
-      unidadDuracion: unidadDuracion || 'horas'
-    };
+  await newService.save();
 
-    // Solo agregar ubicación si se proporciona
-    if (ubicacion && ubicacion.coordinates) {
-      serviceData.ubicacion = {
-        type: 'Point',
-        coordinates: ubicacion.coordinates
-      };
+  // Populate con información del creador
+  await newService.populate('creadoPor', CAMPOS_CREADOR);
+  aplicarPrivacidad(newService, visorPropio(req.user));
+
+  res.status(201).json({
+    success: true,
+    code: 'SERVICE_CREATED',
+    message: req.t('SERVICE_CREATED'),
+    data: {
+      service: newService
     }
+  });
+});
+
+// Función para leer y validar los filtros del listado de servicios desde la
+// query. Agrega los errores a la lista recibida y devuelve los valores ya convertidos.
+const leerFiltrosServicios = (query, user, errors) => {
+  const {
+    categoria,
+    estado,
+    q,
+    precioMin,
+    precioMax,
+    moneda,
+    duracionMax,
+    unidadDuracionMax = 'horas',
+    monedaPreferida = user ? user.monedaPreferida : undefined,
+    incluirEliminados
+  } = query;
+
+  const filtros = {
+    textoBusqueda: typeof q === 'string' ? q.trim() : '',
+    categoria,
+    estado,
+    precioMinimo: precioMin !== undefined ? Number(precioMin) : undefined,
+    precioMaximo: precioMax !== undefined ? Number(precioMax) : undefined,
+    moneda,
+    monedaPreferida,
+    duracionMaxima: duracionMax !== undefined ? Number(duracionMax) : undefined,
+    unidadDuracionMax,
+    // Solo un administrador puede incluir los servicios eliminados
+    incluirEliminados: incluirEliminados === 'true' && Boolean(user) && user.rol === 'admin',
+    geo: leerBusquedaGeo(query, errors),
+    zona: leerZonaGeo(query, errors)
+  };
+
+  const { precioMinimo, precioMaximo, duracionMaxima } = filtros;
+
+  if (precioMinimo !== undefined && (isNaN(precioMinimo) || precioMinimo < 0)) {
+    errors.push({ field: 'precioMin', code: 'FIELD_NOT_NON_NEGATIVE' });
+  }
+  if (precioMaximo !== undefined && (isNaN(precioMaximo) || precioMaximo < 0)) {
+    errors.push({ field: 'precioMax', code: 'FIELD_NOT_NON_NEGATIVE' });
+  }
+  if (precioMinimo !== undefined && precioMaximo !== undefined && precioMinimo > precioMaximo) {
+    errors.push({ field: 'precioMin', code: 'PRICE_RANGE_INVALID' });
+  }
+  if (moneda !== undefined && !MONEDAS.includes(moneda)) {
+    errors.push({ field: 'moneda', code: 'FIELD_INVALID_OPTION', params: { values: MONEDAS.join(', ') } });
+  }
+  if (monedaPreferida !== undefined && !MONEDAS.includes(monedaPreferida)) {
+    errors.push({ field: 'monedaPreferida', code: 'FIELD_INVALID_OPTION', params: { values: MONEDAS.join(', ') } });
+  }
+  if (duracionMaxima !== undefined && (isNaN(duracionMaxima) || duracionMaxima <= 0)) {
+    errors.push({ field: 'duracionMax', code: 'FIELD_NOT_POSITIVE' });
+  }
+  if (!UNIDADES_DURACION.includes(unidadDuracionMax)) {
+    errors.push({ field: 'unidadDuracionMax', code: 'FIELD_INVALID_OPTION', params: { values: UNIDADES_DURACION.join(', ') } });
+  }
+
+  return filtros;
+};
 
-    const newService = new Service(serviceData);
+// Función para construir la consulta de MongoDB a partir de los filtros ya
+// validados. Incluye la zona (bbox o polígono) pero no la búsqueda por cercanía,
+// que se aplica con $geoNear.
+const construirFiltroServicios = (filtros, tasas) => {
+  const {
+    textoBusqueda,
+    categoria,
+    estado,
+    precioMinimo,
+    precioMaximo,
+    moneda,
+    monedaPreferida,
+    duracionMaxima,
+    unidadDuracionMax,
+    incluirEliminados,
+    zona
+  } = filtros;
+
+  // Excluir servicios ocultos por moderación
+  const query = { oculto: { $ne: true } };
+
+  // Excluir servicios eliminados
+  if (!incluirEliminados) {
+    query.eliminado = { $ne: true };
+  }
 
-    await newService.save();
+  // Filtrar por categoría si se especifica
+  if (categoria) {
+    query.categoria = categoria;
+  }
 
-    // Populate con información del creador
-    await newService.populate('creadoPor', 'nombre email telefono rol');
+  // Filtrar por estado si se especifica
+  if (estado && ['pendiente', 'en progreso', 'completado', 'cancelado'].includes(estado)) {
+    query.estado = estado;
+  }
 
-    res.status(201).json({
-      success: true,
-      message: 'Servicio creado exitosamente',
-      data: {
-        service: newService
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en createService:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos de servicio inválidos',
-        errors
-      });
+  // Filtrar por moneda si se especifica
+  if (moneda) {
+    query.moneda = moneda;
+  }
+
+  // Filtrar por rango de precio si se especifica. Con "moneda" se compara el
+  // precio original; sin ella, el rango (en la moneda preferida o la base) se
+  // compara contra el precio normalizado.
+  if (precioMinimo !== undefined || precioMaximo !== undefined) {
+    const campoPrecio = moneda ? 'precio' : 'precioBase';
+    const monedaRango = monedaPreferida || MONEDA_BASE;
+    query[campoPrecio] = {};
+    if (precioMinimo !== undefined) {
+      query[campoPrecio].$gte = moneda ? precioMinimo : aMonedaBase(precioMinimo, monedaRango, tasas);
+    }
+    if (precioMaximo !== undefined) {
+      query[campoPrecio].$lte = moneda ? precioMaximo : aMonedaBase(precioMaximo, monedaRango, tasas);
     }
+  }
+
+  // Filtrar por duración máxima normalizando horas, días y semanas
+  if (duracionMaxima !== undefined) {
+    const horasMaximas = duracionMaxima * Service.HORAS_POR_UNIDAD[unidadDuracionMax];
+    query.$or = UNIDADES_DURACION.map(unidad => ({
+      unidadDuracion: unidad,
+      duracionEstimada: { $lte: horasMaximas / Service.HORAS_POR_UNIDAD[unidad] }
+    }));
+  }
+
+  // Búsqueda de texto completo sobre título y descripción
+  if (textoBusqueda) {
+    query.$text = { $search: textoBusqueda, $language: 'spanish' };
+  }
+
+  // Filtrar por zona del mapa (bbox o polígono)
+  if (zona) {
+    Object.assign(query, zona);
+  }
+
+  return query;
+};
+
+// Función para leer y validar ordenarPor y orden. Si los resultados tienen
+// distancia, el orden por defecto es la distancia (ascendente).
+// Agrega los errores a la lista recibida y devuelve { campoOrden, orden }.
+const leerOrdenServicios = ({ ordenarPor, orden: ordenPedido, ubicacion }, conDistancia, errors) => {
+  const campoOrden = ordenarPor || (conDistancia ? 'distancia' : undefined);
+  const orden = ordenPedido || (campoOrden === 'distancia' ? 'asc' : 'desc');
+
+  if (ordenarPor !== undefined && !CAMPOS_ORDENAMIENTO.includes(ordenarPor)) {
+    errors.push({ field: 'ordenarPor', code: 'FIELD_INVALID_OPTION', params: { values: CAMPOS_ORDENAMIENTO.join(', ') } });
+  } else if (ordenarPor === 'distancia' && !conDistancia && ubicacion === undefined) {
+    errors.push({ field: 'ordenarPor', code: 'DISTANCE_SORT_REQUIRES_LOCATION' });
+  }
+  if (!['asc', 'desc'].includes(orden)) {
+    errors.push({ field: 'orden', code: 'FIELD_INVALID_OPTION', params: { values: 'asc, desc' } });
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  return { campoOrden, orden };
+};
+
+// Función para construir el orden de MongoDB: por relevancia si hay búsqueda de
+// texto y no se pide otro campo, y por fecha de publicación por defecto
+const construirOrden = ({ campoOrden, orden }, { textoBusqueda, moneda }) => {
+  const sortOrder = orden === 'desc' ? -1 : 1;
+
+  if (textoBusqueda && (!campoOrden || campoOrden === 'relevancia')) {
+    return { score: { $meta: 'textScore' } };
   }
+
+  // Sin filtro de moneda se ordena por el precio normalizado
+  if (campoOrden === 'precio' && !moneda) {
+    return { precioBase: sortOrder };
+  }
+
+  return { [campoOrden && campoOrden !== 'relevancia' ? campoOrden : 'fechaPublicacion']: sortOrder };
 };
 
 // @desc    Listar todos los servicios
 // @route   GET /api/services
 // @access  Public
-const getServices = async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      categoria, 
-      estado,
-      ubicacion,
-      radio = 10,
-      ordenarPor = 'fechaPublicacion',
-      orden = 'desc'
-    } = req.query;
+const getServices = asyncHandler(async (req, res) => {
+  // Validar los filtros, el ordenamiento, la ubicación y la paginación
+  const errors = [];
+  const filtros = leerFiltrosServicios(req.query, req.user, errors);
+  const { textoBusqueda, moneda, monedaPreferida, geo, zona } = filtros;
+  const ordenamiento = leerOrdenServicios(req.query, Boolean(geo), errors);
+
+  // En las búsquedas por zona (vista de un mapa) se devuelven por defecto todos
+  // los resultados, hasta un máximo por página
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors, zona
+    ? { porDefecto: MAXIMO_RESULTADOS_ZONA, maximo: MAXIMO_RESULTADOS_ZONA }
+    : {});
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
 
-    const query = {};
+  // MongoDB no permite combinar $text con $geoNear en la misma consulta
+  if (textoBusqueda && geo) {
+    throw new BadRequestError('TEXT_SEARCH_WITH_LOCATION');
+  }
 
-    // Filtrar por categoría si se especifica
-    if (categoria) {
-      query.categoria = categoria;
-    }
+  const tasas = await obtenerTasas();
+  const query = construirFiltroServicios(filtros, tasas);
+
+  // Configurar ordenamiento y, con búsqueda de texto, la puntuación de relevancia
+  const sortOptions = construirOrden(ordenamiento, filtros);
+  const projection = textoBusqueda ? { score: { $meta: 'textScore' } } : {};
+
+  let services;
+  let total;
+
+  if (geo) {
+    ({ documentos: services, total } = await buscarCercanos(Service, {
+      busqueda: geo,
+      filtro: query,
+      orden: sortOptions,
+      skip,
+      limit: limite
+    }));
+    await Service.populate(services, { path: 'creadoPor', select: `${CAMPOS_CREADOR} ubicacion ubicacionAproximada` });
+  } else {
+    services = await Service.find(query, projection)
+      .populate('creadoPor', `${CAMPOS_CREADOR} ubicacion ubicacionAproximada`)
+      .sort(sortOptions)
+      .limit(limite)
+      .skip(skip);
+    total = await Service.countDocuments(query);
+  }
 
-    // Filtrar por estado si se especifica
-    if (estado && ['pendiente', 'en progreso', 'completado'].includes(estado)) {
-      query.estado = estado;
+  aplicarPrivacidad(services, await obtenerVisor(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICES_RETRIEVED',
+    message: req.t('SERVICES_RETRIEVED'),
+    data: {
+      services: monedaPreferida
+        ? services.map(service => conPrecioConvertido(service, monedaPreferida, tasas))
+        : services,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalServices: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      },
+      filters: {
+        q: textoBusqueda || undefined,
+        categoria: filtros.categoria,
+        estado: filtros.estado,
+        precioMin: filtros.precioMinimo,
+        precioMax: filtros.precioMaximo,
+        moneda,
+        monedaPreferida,
+        duracionMax: filtros.duracionMaxima,
+        unidadDuracionMax: filtros.duracionMaxima !== undefined ? filtros.unidadDuracionMax : undefined,
+        ubicacion: geo ? geo.punto.coordinates.join(',') : undefined,
+        radio: geo ? geo.radioKm : undefined,
+        bbox: zona ? req.query.bbox : undefined,
+        ordenarPor: ordenamiento.campoOrden
+      }
     }
+  });
+});
+
+// @desc    Agrupar en el mapa los servicios de una zona
+// @route   GET /api/services/clusters
+// @access  Public
+// Acepta los mismos filtros que el listado. Los servicios se agrupan en una
+// rejilla cuyo tamaño depende del zoom; cada grupo devuelve su ubicación, el
+// total y el número de servicios por categoría.
+const getServiceClusters = asyncHandler(async (req, res) => {
+  const errors = [];
+  const filtros = leerFiltrosServicios(req.query, req.user, errors);
+  const zoom = leerZoom(req.query, errors);
+  const { zona } = filtros;
+
+  // La zona visible del mapa es obligatoria
+  if (!zona && !errors.some(error => ['bbox', 'poligono'].includes(error.field))) {
+    errors.push({ field: 'bbox', code: 'FIELD_REQUIRED' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  const tasas = await obtenerTasas();
+  const query = construirFiltroServicios(filtros, tasas);
+
+  // Se agrupan las ubicaciones aproximadas, en celdas que no bajan de su
+  // tamaño (ver utils/privacy.js)
+  const tamano = tamanoCelda(zoom, CELDA_MINIMA_GRADOS);
+  const celda = (indice, desplazamiento) => ({
+    $floor: { $divide: [{ $add: [{ $arrayElemAt: ['$ubicacionAproximada.coordinates', indice] }, desplazamiento] }, tamano] }
+  });
+
+  const grupos = await Service.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: { x: celda(0, 180), y: celda(1, 90), categoria: '$categoria' },
+        total: { $sum: 1 },
+        longitudes: { $sum: { $arrayElemAt: ['$ubicacionAproximada.coordinates', 0] } },
+        latitudes: { $sum: { $arrayElemAt: ['$ubicacionAproximada.coordinates', 1] } },
+        servicio: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        total: { $sum: '$total' },
+        longitudes: { $sum: '$longitudes' },
+        latitudes: { $sum: '$latitudes' },
+        servicio: { $first: '$servicio' },
+        categorias: { $push: { k: '$_id.categoria', v: '$total' } }
+      }
+    },
+    { $sort: { total: -1 } },
+    { $limit: MAXIMO_RESULTADOS_ZONA + 1 }
+  ]);
+
+  const truncado = grupos.length > MAXIMO_RESULTADOS_ZONA;
+
+  const clusters = grupos.slice(0, MAXIMO_RESULTADOS_ZONA).map(grupo => {
+    // Un grupo de un solo servicio se muestra en su ubicación aproximada, la
+    // misma que devuelve el detalle del servicio. Un grupo de varios se muestra
+    // en el centro de la celda.
+    const individual = grupo.total === 1;
+    const punto = { type: 'Point', coordinates: [grupo.longitudes, grupo.latitudes] };
+    const ubicacion = individual
+      ? ubicacionPublica(punto, punto, `service:${grupo.servicio}`)
+      : {
+        type: 'Point',
+        coordinates: [
+          Math.min((grupo._id.x + 0.5) * tamano - 180, 180),
+          Math.min((grupo._id.y + 0.5) * tamano - 90, 90)
+        ].map(coordenada => Math.round(coordenada * 1e5) / 1e5)
+      };
 
-    // Construir consulta geográfica si se proporciona ubicación
-    let geoQuery = {};
-    if (ubicacion) {
-      try {
-        const [longitud, latitud] = ubicacion.split(',').map(coord => parseFloat(coord.trim()));
-        if (!isNaN(longitud) && !isNaN(latitud)) {
-          geoQuery = {
-            ubicacion: {
-              $near: {
-                $geometry: {
-                  type: 'Point',
-                  coordinates: [longitud, latitud]
-                },
-                $maxDistance: radio * 1000 // Convertir km a metros
-              }
-            }
-          };
-        }
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          message: 'Formato de ubicación inválido. Use: longitud,latitud'
-        });
+    return {
+      celda: `${grupo._id.x}:${grupo._id.y}`,
+      ubicacion,
+      total: grupo.total,
+      categorias: Object.fromEntries(grupo.categorias.map(({ k, v }) => [k, v])),
+      servicio: individual ? grupo.servicio : undefined
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_CLUSTERS_RETRIEVED',
+    message: req.t('SERVICE_CLUSTERS_RETRIEVED'),
+    data: {
+      clusters,
+      totalServices: clusters.reduce((suma, cluster) => suma + cluster.total, 0),
+      truncated: truncado,
+      zoom,
+      tamanoCelda: tamano,
+      filters: {
+        q: filtros.textoBusqueda || undefined,
+        categoria: filtros.categoria,
+        estado: filtros.estado,
+        precioMin: filtros.precioMinimo,
+        precioMax: filtros.precioMaximo,
+        moneda: filtros.moneda,
+        duracionMax: filtros.duracionMaxima,
+        unidadDuracionMax: filtros.duracionMaxima !== undefined ? filtros.unidadDuracionMax : undefined,
+        bbox: req.query.bbox
       }
     }
+  });
+});
 
-    // Combinar consultas
-    const finalQuery = { ...query, ...geoQuery };
+// @desc    Listar los servicios dentro de mi área de servicio
+// @route   GET /api/services/mi-cobertura
+// @access  Private
+// Usa la ubicación y el radioServicioKm del usuario. Acepta los filtros del
+// listado salvo los geográficos; por defecto muestra solo servicios pendientes
+// y nunca los propios.
+const getServicesInMyArea = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (!user.radioServicioKm || !tieneUbicacion(user)) {
+    throw new BadRequestError('SERVICE_AREA_NOT_CONFIGURED');
+  }
 
-    // Configurar ordenamiento
-    const sortOrder = orden === 'desc' ? -1 : 1;
-    const sortOptions = {};
-    sortOptions[ordenarPor] = sortOrder;
+  // La zona de búsqueda la fija el área de servicio
+  const errors = [];
+  const filtros = leerFiltrosServicios(
+    { ...req.query, ubicacion: undefined, radio: undefined, bbox: undefined, poligono: undefined },
+    user,
+    errors
+  );
+  const ordenamiento = leerOrdenServicios(req.query, true, errors);
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
 
-    // Paginación
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const services = await Service.find(finalQuery)
-      .populate('creadoPor', 'nombre email telefono rol ubicacion')
-      .sort(sortOptions)
-      .limit(parseInt(limit))
-      .skip(skip);
+  // MongoDB no permite combinar $text con $geoNear en la misma consulta
+  if (filtros.textoBusqueda) {
+    throw new BadRequestError('TEXT_SEARCH_WITH_LOCATION');
+  }
 
-    const total = await Service.countDocuments(finalQuery);
-
-    res.status(200).json({
-      success: true,
-      message: 'Servicios obtenidos exitosamente',
-      data: {
-        services,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalServices: total,
-          hasNext: skip + parseInt(limit) < total,
-          hasPrev: parseInt(page) > 1
-        },
-        filters: {
-          categoria,
-          estado,
-          ubicacion,
-          radio: parseInt(radio)
-        }
+  const tasas = await obtenerTasas();
+  const query = construirFiltroServicios({ ...filtros, estado: filtros.estado || 'pendiente' }, tasas);
+  query.creadoPor = { $ne: user._id };
+
+  const { documentos: services, total } = await buscarCercanos(Service, {
+    busqueda: {
+      punto: { type: 'Point', coordinates: user.ubicacion.coordinates },
+      radioKm: user.radioServicioKm
+    },
+    filtro: query,
+    orden: construirOrden(ordenamiento, filtros),
+    skip,
+    limit: limite
+  });
+
+  await Service.populate(services, { path: 'creadoPor', select: `${CAMPOS_CREADOR} ubicacion ubicacionAproximada` });
+  aplicarPrivacidad(services, await obtenerVisor(user));
+
+  const { monedaPreferida } = filtros;
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICES_IN_AREA_RETRIEVED',
+    message: req.t('SERVICES_IN_AREA_RETRIEVED'),
+    data: {
+      services: monedaPreferida
+        ? services.map(service => conPrecioConvertido(service, monedaPreferida, tasas))
+        : services,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalServices: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      },
+      areaServicio: {
+        ubicacion: user.ubicacion,
+        radioServicioKm: user.radioServicioKm
       }
-    });
+    }
+  });
+});
+
+// @desc    Listar los oferentes cuya área de servicio incluye el servicio
+// @route   GET /api/services/:id/oferentes
+// @access  Private (Solo el creador o un administrador)
+const getServiceProviders = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    minRating,
+    ordenarPor = 'distancia'
+  } = req.query;
+  const { orden = ordenarPor === 'distancia' ? 'asc' : 'desc' } = req.query;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
 
-  } catch (error) {
-    console.error('Error en getServices:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (service.creadoPor.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
+    throw new ForbiddenError('SERVICE_PROVIDERS_FORBIDDEN');
   }
-};
 
-// @desc    Obtener servicio por ID
-// @route   GET /api/services/:id
-// @access  Public
-const getServiceById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const service = await Service.findById(id)
-      .populate('creadoPor', 'nombre email telefono rol ubicacion');
-    
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Servicio no encontrado'
-      });
-    }
+  if (!tieneUbicacion(service)) {
+    throw new BadRequestError('SERVICE_WITHOUT_LOCATION');
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Servicio obtenido exitosamente',
-      data: {
-        service
-      }
-    });
+  // Validar la calificación mínima, el ordenamiento y la paginación
+  const errors = [];
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors);
+  const calificacionMinima = minRating !== undefined ? parseFloat(minRating) : undefined;
 
-  } catch (error) {
-    console.error('Error en getServiceById:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (calificacionMinima !== undefined && (isNaN(calificacionMinima) || calificacionMinima < 0 || calificacionMinima > 5)) {
+    errors.push({ field: 'minRating', code: 'INVALID_MIN_RATING' });
+  }
+  if (!['distancia', 'calificacion'].includes(ordenarPor)) {
+    errors.push({ field: 'ordenarPor', code: 'FIELD_INVALID_OPTION', params: { values: 'distancia, calificacion' } });
+  }
+  if (!['asc', 'desc'].includes(orden)) {
+    errors.push({ field: 'orden', code: 'FIELD_INVALID_OPTION', params: { values: 'asc, desc' } });
   }
-};
 
-// @desc    Actualizar servicio
-// @route   PUT /api/services/:id
-// @access  Private (Solo el creador)
-const updateService = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    // Buscar el servicio
-    const service = await Service.findById(id);
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Servicio no encontrado'
-      });
-    }
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
 
-    // Verificar que el usuario sea el creador del servicio
-    if (service.creadoPor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'No tienes permisos para editar este servicio'
-      });
-    }
+  // Oferentes activos con área de servicio, sin contar al creador
+  const query = {
+    rol: 'oferente',
+    suspendido: { $ne: true },
+    radioServicioKm: { $gt: 0 },
+    _id: { $ne: service.creadoPor }
+  };
 
-    // Verificar que el servicio pueda ser editado
-    if (!service.puedeSerEditado()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Solo se pueden editar servicios en estado pendiente'
-      });
-    }
+  if (calificacionMinima !== undefined) {
+    query.calificacionPromedio = { $gte: calificacionMinima };
+  }
 
-    // Validar y procesar ubicación si se proporciona en la actualización
-    if (updates.ubicacion) {
-      // Si se envía ubicación vacía o nula, eliminar la ubicación
-      if (!updates.ubicacion.coordinates || 
-          updates.ubicacion.coordinates.length === 0 ||
-          (updates.ubicacion.coordinates[0] === null && updates.ubicacion.coordinates[1] === null)) {
-        updates.ubicacion = undefined;
-      } else if (updates.ubicacion.coordinates && updates.ubicacion.coordinates.length === 2) {
-        // Validar coordenadas válidas
-        const [longitud, latitud] = updates.ubicacion.coordinates;
-        if (isNaN(longitud) || isNaN(latitud) || 
-            longitud < -180 || longitud > 180 || 
-            latitud < -90 || latitud > 90) {
-          return res.status(400).json({
-            success: false,
-            message: 'Las coordenadas deben ser [longitud, latitud] válidas'
-          });
-        }
-        // Formatear ubicación correctamente
-        updates.ubicacion = {
-          type: 'Point',
-          coordinates: [parseFloat(longitud), parseFloat(latitud)]
-        };
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Las coordenadas deben ser [longitud, latitud]'
-        });
+  const sortOrder = orden === 'asc' ? 1 : -1;
+
+  // Se buscan hasta el radio máximo y se conservan los oferentes cuyo propio
+  // radio alcanza el servicio
+  const { documentos: oferentes, total } = await buscarCercanos(User, {
+    busqueda: {
+      punto: { type: 'Point', coordinates: service.ubicacion.coordinates },
+      radioKm: User.RADIO_SERVICIO_MAXIMO_KM
+    },
+    filtro: query,
+    filtroDistancia: { $expr: { $lte: ['$distancia', { $multiply: ['$radioServicioKm', 1000] }] } },
+    orden: ordenarPor === 'calificacion'
+      ? { calificacionPromedio: sortOrder, totalResenas: sortOrder }
+      : { distancia: sortOrder },
+    skip,
+    limit: limite,
+    proyeccion: { password: 0 } // Excluir contraseñas
+  });
+
+  asignarVisor(oferentes, await obtenerVisor(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_PROVIDERS_RETRIEVED',
+    message: req.t('SERVICE_PROVIDERS_RETRIEVED'),
+    data: {
+      oferentes,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalOferentes: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
       }
     }
+  });
+});
+
+// @desc    Listar los oferentes más adecuados para un servicio
+// @route   GET /api/services/:id/candidatos
+// @access  Private (Solo el creador o un administrador)
+// Ordena a los oferentes cercanos por coincidencia de skills, distancia y
+// calificación (ver utils/matching.js) y devuelve el detalle de la puntuación.
+const getServiceCandidates = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
 
-    // Actualizar servicio
-    const updatedService = await Service.findByIdAndUpdate(
-      id,
-      updates,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    ).populate('creadoPor', 'nombre email telefono rol');
+  if (service.creadoPor.toString() !== req.user._id.toString() && req.user.rol !== 'admin') {
+    throw new ForbiddenError('SERVICE_CANDIDATES_FORBIDDEN');
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Servicio actualizado exitosamente',
-      data: {
-        service: updatedService
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en updateService:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos de servicio inválidos',
-        errors
+  const errors = [];
+  const radioKm = leerRadio(req.query, errors, RADIO_CANDIDATOS_KM);
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  // Oferentes activos con alguna skill, sin contar al creador
+  const query = {
+    rol: 'oferente',
+    suspendido: { $ne: true },
+    'skills.0': { $exists: true },
+    _id: { $ne: service.creadoPor }
+  };
+
+  // Con ubicación se evalúan los más cercanos dentro del radio; sin ella, los
+  // mejor calificados
+  const conUbicacion = tieneUbicacion(service);
+  let oferentes;
+
+  if (conUbicacion) {
+    ({ documentos: oferentes } = await buscarCercanos(User, {
+      busqueda: {
+        punto: { type: 'Point', coordinates: service.ubicacion.coordinates },
+        radioKm
+      },
+      filtro: query,
+      orden: { distancia: 1 },
+      skip: 0,
+      limit: MAXIMO_CANDIDATOS,
+      proyeccion: { password: 0 }
+    }));
+  } else {
+    oferentes = await User.find(query)
+      .select('-password')
+      .sort({ calificacionPromedio: -1, totalResenas: -1 })
+      .limit(MAXIMO_CANDIDATOS);
+  }
+
+  asignarVisor(oferentes, await obtenerVisor(req.user));
+
+  // La distancia se puntúa con la que se muestra, de modo que la puntuación no
+  // revele la ubicación exacta de quien no la comparte
+  const terminos = terminosDelServicio(service);
+  const candidatos = oferentes
+    .map(oferente => {
+      const datos = oferente.toJSON();
+      const puntuacion = puntuarCandidato(oferente, {
+        terminos,
+        categoria: service.categoria,
+        distanciaKm: conUbicacion ? datos.distanciaKm : null,
+        radioKm
       });
+      return { oferente: datos, puntuacion };
+    })
+    .filter(candidato => candidato.puntuacion.skills.coincidencias.length > 0)
+    .sort((a, b) => b.puntuacion.total - a.puntuacion.total);
+
+  const total = candidatos.length;
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_CANDIDATES_RETRIEVED',
+    message: req.t('SERVICE_CANDIDATES_RETRIEVED'),
+    data: {
+      candidatos: candidatos.slice(skip, skip + limite),
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalCandidatos: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
+      },
+      criterios: {
+        terminos,
+        radioKm: conUbicacion ? radioKm : undefined,
+        pesos: PESOS
+      }
     }
+  });
+});
 
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+// @desc    Obtener servicio por ID
+// @route   GET /api/services/:id
+// @access  Public (los servicios ocultos o eliminados solo los ven su creador y los administradores)
+const getServiceById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    incluirEliminados,
+    monedaPreferida = req.user ? req.user.monedaPreferida : undefined
+  } = req.query;
+
+  if (monedaPreferida !== undefined && !MONEDAS.includes(monedaPreferida)) {
+    throw new BadRequestError('FIELD_INVALID_OPTION', { field: 'monedaPreferida', values: MONEDAS.join(', ') });
+  }
+
+  const service = await Service.findById(id)
+    .populate('creadoPor', `${CAMPOS_CREADOR} ubicacion ubicacionAproximada`)
+    .populate('asignadoA', 'nombre rol');
+  
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  const esCreador = req.user && service.creadoPor &&
+    service.creadoPor._id.toString() === req.user._id.toString();
+  const esAdmin = req.user && req.user.rol === 'admin';
+
+  // Los servicios ocultos solo son visibles para su creador y los administradores
+  if (service.oculto && !esCreador && !esAdmin) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Los servicios eliminados solo se devuelven si su creador o un administrador lo piden
+  if (service.eliminado && !(incluirEliminados === 'true' && (esCreador || esAdmin))) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  aplicarPrivacidad(service, await obtenerVisor(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_RETRIEVED',
+    message: req.t('SERVICE_RETRIEVED'),
+    data: {
+      service: monedaPreferida
+        ? conPrecioConvertido(service, monedaPreferida, await obtenerTasas())
+        : service
+    }
+  });
+});
+
+// @desc    Actualizar servicio
+// @route   PUT /api/services/:id
+// @access  Private (Solo el creador)
+// El cuerpo llega validado y filtrado por updateServiceSchema
+const updateService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  // Buscar el servicio
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
   }
-};
+
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('SERVICE_EDIT_FORBIDDEN');
+  }
+
+  // Verificar que el servicio pueda ser editado
+  if (!service.puedeSerEditado()) {
+    throw new BadRequestError('SERVICE_NOT_EDITABLE');
+  }
+
+  // Recalcular el precio normalizado si cambia el precio o la moneda
+  if (updates.precio !== undefined || updates.moneda !== undefined) {
+    updates.precioBase = aMonedaBase(
+      updates.precio !== undefined ? updates.precio : service.precio,
+      updates.moneda !== undefined ? updates.moneda : service.moneda,
+      await obtenerTasas()
+    );
+  }
+
+  // Actualizar servicio
+  const updatedService = await Service.findByIdAndUpdate(
+    id,
+    updates,
+    { 
+      new: true, 
+      runValidators: true 
+    }
+  ).populate('creadoPor', CAMPOS_CREADOR);
+  aplicarPrivacidad(updatedService, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_UPDATED',
+    message: req.t('SERVICE_UPDATED'),
+    data: {
+      service: updatedService
+    }
+  });
+});
 
 // @desc    Cambiar estado del servicio
 // @route   PATCH /api/services/:id/estado
 // @access  Private (Solo el creador)
-const updateServiceStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { nuevoEstado } = req.body;
-
-    // Validar nuevo estado
-    if (!['pendiente', 'en progreso', 'completado'].includes(nuevoEstado)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Estado inválido. Debe ser: pendiente, en progreso o completado'
-      });
-    }
+const updateServiceStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nuevoEstado } = req.body;
 
-    const service = await Service.findById(id);
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Servicio no encontrado'
-      });
-    }
+  // Validar nuevo estado
+  if (!['pendiente', 'en progreso', 'completado'].includes(nuevoEstado)) {
+    throw new BadRequestError('INVALID_STATUS');
+  }
 
-    // Verificar que el usuario sea el creador del servicio
-    if (service.creadoPor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'No tienes permisos para cambiar el estado de este servicio'
-      });
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('SERVICE_STATUS_FORBIDDEN');
+  }
+
+  // Cambiar estado según la lógica de negocio
+  if (nuevoEstado === 'en progreso' && service.estado === 'pendiente') {
+    await service.marcarEnProgreso();
+  } else if (nuevoEstado === 'completado' && service.estado === 'en progreso') {
+    await service.marcarCompletado();
+  } else if (nuevoEstado === 'pendiente' && service.estado === 'en progreso') {
+    // El oferente asignado deja de ser contraparte y su postulación vuelve a
+    // estar abierta, para que el creador pueda aceptarla de nuevo o aceptar otra
+    await service.volverAPendiente();
+    await Application.updateMany(
+      { servicio: service._id, estado: 'aceptada' },
+      { estado: 'pendiente', fechaRespuesta: null }
+    );
+  } else {
+    throw new BadRequestError('INVALID_STATUS_TRANSITION', { de: service.estado, a: nuevoEstado });
+  }
+
+  await service.populate('creadoPor', CAMPOS_CREADOR);
+  aplicarPrivacidad(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_STATUS_CHANGED',
+    message: req.t('SERVICE_STATUS_CHANGED', { estado: nuevoEstado }),
+    data: {
+      service
     }
+  });
+});
 
-    // Cambiar estado según la lógica de negocio
-    if (nuevoEstado === 'en progreso' && service.estado === 'pendiente') {
-      await service.marcarEnProgreso();
-    } else if (nuevoEstado === 'completado' && service.estado === 'en progreso') {
-      await service.marcarCompletado();
-    } else if (nuevoEstado === 'pendiente' && service.estado === 'en progreso') {
-      service.estado = 'pendiente';
-      await service.save();
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: `No se puede cambiar de estado "${service.estado}" a "${nuevoEstado}"`
-      });
+// @desc    Eliminar servicio (eliminación lógica)
+// @route   DELETE /api/services/:id
+// @access  Private (Solo el creador)
+const deleteService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service || service.eliminado) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
+
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('SERVICE_DELETE_FORBIDDEN');
+  }
+
+  // No eliminar un servicio que un oferente está realizando
+  if (service.estado === 'en progreso') {
+    throw new BadRequestError('SERVICE_IN_PROGRESS');
+  }
+
+  await service.eliminar();
+  aplicarPrivacidad(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_DELETED',
+    message: req.t('SERVICE_DELETED', { dias: Service.DIAS_GRACIA_RESTAURACION }),
+    data: {
+      service
     }
+  });
+});
+
+// @desc    Restaurar servicio eliminado
+// @route   PATCH /api/services/:id/restaurar
+// @access  Private (Solo el creador, dentro del periodo de gracia)
+const restoreService = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const service = await Service.findById(id);
+  if (!service) {
+    throw new NotFoundError('SERVICE_NOT_FOUND');
+  }
 
-    await service.populate('creadoPor', 'nombre email telefono rol');
+  // Verificar que el usuario sea el creador del servicio
+  if (service.creadoPor.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('SERVICE_RESTORE_FORBIDDEN');
+  }
 
-    res.status(200).json({
-      success: true,
-      message: `Estado del servicio cambiado a "${nuevoEstado}"`,
-      data: {
-        service
-      }
-    });
+  if (!service.eliminado) {
+    throw new BadRequestError('SERVICE_NOT_DELETED');
+  }
 
-  } catch (error) {
-    console.error('Error en updateServiceStatus:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!service.puedeRestaurarse()) {
+    throw new BadRequestError('RESTORE_PERIOD_EXPIRED');
   }
-};
+
+  await service.restaurar();
+
+  await service.populate('creadoPor', CAMPOS_CREADOR);
+  aplicarPrivacidad(service, visorPropio(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'SERVICE_RESTORED',
+    message: req.t('SERVICE_RESTORED'),
+    data: {
+      service
+    }
+  });
+});
 
 module.exports = {
   createService,
   getServices,
+  getServiceClusters,
+  getServicesInMyArea,
+  getServiceProviders,
+  getServiceCandidates,
   getServiceById,
   updateService,
-  updateServiceStatus
+  updateServiceStatus,
+  deleteService,
+  restoreService
 };
 
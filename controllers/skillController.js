@@ -0,0 +1,55 @@
+const Service = require('../models/Service');
+const asyncHandler = require('../utils/asyncHandler');
+const { sugerirSkills } = require('../utils/skills');
+const { ValidationError } = require('../utils/errors');
+
+const LIMITE_POR_DEFECTO = 10;
+const LIMITE_MAXIMO = 50;
+
+// @desc    Listar el catálogo de skills o autocompletar por texto
+// @route   GET /api/skills
+// @access  Public
+const getSkills = asyncHandler(async (req, res) => {
+  const { q = '', categoria, limit } = req.query;
+  const categorias = Service.schema.path('categoria').enumValues;
+  const errors = [];
+
+  if (typeof q !== 'string') {
+    errors.push({ field: 'q', code: 'FIELD_NOT_STRING' });
+  }
+  if (categoria !== undefined && !categorias.includes(categoria)) {
+    errors.push({ field: 'categoria', code: 'FIELD_INVALID_OPTION', params: { values: categorias.join(', ') } });
+  }
+
+  // Sin texto se devuelve el catálogo completo salvo que se pida un límite
+  let limite = q ? LIMITE_POR_DEFECTO : undefined;
+  if (limit !== undefined) {
+    limite = Number(limit);
+    if (!Number.isInteger(limite)) {
+      errors.push({ field: 'limit', code: 'FIELD_NOT_INTEGER' });
+    } else if (limite < 1) {
+      errors.push({ field: 'limit', code: 'FIELD_MIN', params: { min: 1 } });
+    } else if (limite > LIMITE_MAXIMO) {
+      errors.push({ field: 'limit', code: 'FIELD_MAX', params: { max: LIMITE_MAXIMO } });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  const skills = sugerirSkills(q, { categoria, limite });
+
+  res.status(200).json({
+    success: true,
+    code: 'SKILLS_RETRIEVED',
+    message: req.t('SKILLS_RETRIEVED'),
+    data: {
+      skills
+    }
+  });
+});
+
+module.exports = {
+  getSkills
+};
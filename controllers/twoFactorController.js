@@ -0,0 +1,157 @@
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  generarSecreto,
+  verificarCodigo,
+  uriOtpauth,
+  generarCodigosRecuperacion,
+  verificarSegundoFactor
+} = require('../utils/twoFactor');
+const {
+  BadRequestError,
+  UnauthorizedError
+} = require('../utils/errors');
+
+// @desc    Iniciar la activación de la verificación en dos pasos
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.dosFactores && user.dosFactores.activo) {
+    throw new BadRequestError('TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  // El secreto queda pendiente hasta que se confirme con un código de la app
+  const secreto = generarSecreto();
+  user.dosFactores = { activo: false, secretoPendiente: secreto };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    code: 'TWO_FACTOR_SETUP_STARTED',
+    message: req.t('TWO_FACTOR_SETUP_STARTED'),
+    data: {
+      secret: secreto,
+      otpauthUri: uriOtpauth(secreto, user.email)
+    }
+  });
+});
+
+// @desc    Confirmar la activación con un código de la app de autenticación
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = req.user;
+
+  if (!code) {
+    throw new BadRequestError('TWO_FACTOR_CODE_REQUIRED');
+  }
+
+  if (user.dosFactores && user.dosFactores.activo) {
+    throw new BadRequestError('TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secreto = user.dosFactores && user.dosFactores.secretoPendiente;
+  if (!secreto) {
+    throw new BadRequestError('TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const paso = verificarCodigo(secreto, String(code).trim());
+  if (paso === null) {
+    throw new BadRequestError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codigos, hashes } = generarCodigosRecuperacion();
+  user.dosFactores = {
+    activo: true,
+    secreto,
+    codigosRecuperacion: hashes,
+    ultimoPaso: paso
+  };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    code: 'TWO_FACTOR_ENABLED',
+    message: req.t('TWO_FACTOR_ENABLED'),
+    data: {
+      recoveryCodes: codigos
+    }
+  });
+});
+
+// @desc    Desactivar la verificación en dos pasos
+// @route   POST /api/auth/2fa/disable
+// @access  Private (requiere la contraseña y un código o código de recuperación)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = req.user;
+
+  if (!password || !code) {
+    throw new BadRequestError('TWO_FACTOR_DISABLE_FIELDS_REQUIRED');
+  }
+
+  if (!user.dosFactores || !user.dosFactores.activo) {
+    throw new BadRequestError('TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new UnauthorizedError('WRONG_CURRENT_PASSWORD');
+  }
+
+  if (!verificarSegundoFactor(user, code)) {
+    throw new UnauthorizedError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  user.dosFactores = { activo: false };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    code: 'TWO_FACTOR_DISABLED',
+    message: req.t('TWO_FACTOR_DISABLED')
+  });
+});
+
+// @desc    Generar nuevos códigos de recuperación (invalida los anteriores)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (requiere un código de la app de autenticación)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = req.user;
+
+  if (!code) {
+    throw new BadRequestError('TWO_FACTOR_CODE_REQUIRED');
+  }
+
+  if (!user.dosFactores || !user.dosFactores.activo) {
+    throw new BadRequestError('TWO_FACTOR_NOT_ENABLED');
+  }
+
+  const paso = verificarCodigo(user.dosFactores.secreto, String(code).trim(), user.dosFactores.ultimoPaso);
+  if (paso === null) {
+    throw new UnauthorizedError('INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codigos, hashes } = generarCodigosRecuperacion();
+  user.dosFactores.codigosRecuperacion = hashes;
+  user.dosFactores.ultimoPaso = paso;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    code: 'RECOVERY_CODES_REGENERATED',
+    message: req.t('RECOVERY_CODES_REGENERATED'),
+    data: {
+      recoveryCodes: codigos
+    }
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,572 +1,386 @@
 const User = require('../models/User');
+const { enviarCorreoVerificacion } = require('../utils/emails');
+const { invalidarTokensUnUso } = require('../utils/tokens');
+const asyncHandler = require('../utils/asyncHandler');
+const { leerPaginacion } = require('../utils/pagination');
+const { obtenerVisor, visorPropio, asignarVisor } = require('../utils/privacy');
+const {
+  MAXIMO_RESULTADOS_ZONA,
+  leerBusquedaGeo,
+  leerZonaGeo,
+  buscarCercanos
+} = require('../utils/geo');
+const { normalizarSkills, filtroDeSkill } = require('../utils/skills');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Campos por los que se permite ordenar el listado de usuarios
+const CAMPOS_ORDENAMIENTO = ['fechaRegistro', 'calificacion', 'distancia'];
 
 // @desc    Crear nuevo usuario
 // @route   POST /api/users
 // @access  Public
-const createUser = async (req, res) => {
-  try {
-    const {
-      nombre,
-      email,
-      password,
-      telefono,
-      rol,
-      skills,
-      ubicacion
-    } = req.body;
-
-    // Validar datos obligatorios
-    if (!nombre || !email || !password || !rol) {
-      return res.status(400).json({
-        success: false,
-        message: 'Nombre, email, contraseña y rol son obligatorios'
-      });
-    }
+// El cuerpo llega validado y filtrado por createUserSchema
+const createUser = asyncHandler(async (req, res) => {
+  const {
+    nombre,
+    email,
+    password,
+    telefono,
+    rol,
+    skills,
+    ubicacion,
+    radioServicioKm,
+    monedaPreferida
+  } = req.body;
+
+  // El rol de administrador no se puede obtener al registrarse
+  if (rol === 'admin') {
+    throw new ForbiddenError('ADMIN_REGISTRATION_FORBIDDEN');
+  }
 
-    // Validar coordenadas de ubicación si se proporcionan
-    if (ubicacion && (!ubicacion.coordinates || ubicacion.coordinates.length !== 2)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Las coordenadas de ubicación deben ser [longitud, latitud]'
-      });
-    }
+  // Crear nuevo usuario
+  const userData = {
+    nombre,
+    email,
+    password,
+    telefono,
+    rol,
+    skills: normalizarSkills(skills),
+    radioServicioKm,
+    monedaPreferida
+  };
+
+  // Solo agregar ubicación si se proporciona
+  if (ubicacion) {
+    userData.ubicacion = ubicacion;
+  }
 
-    // Crear nuevo usuario
-    const userData = {
-      nombre,
-      email: email.toLowerCase(),
-      password,
-      telefono,
-      rol,
-      skills: skills || []
-    };
-
-    // Solo agregar ubicación si se proporciona
-    if (ubicacion && ubicacion.coordinates) {
-      userData.ubicacion = {
-        type: 'Point',
-        coordinates: ubicacion.coordinates
-      };
-    }
+  if (await User.exists({ email })) {
+    throw new ConflictError('EMAIL_ALREADY_REGISTERED');
+  }
 
-    const newUser = new User(userData);
+  const newUser = new User(userData);
 
-    await newUser.save();
+  await newUser.save();
 
-    res.status(201).json({
-      success: true,
-      message: 'Usuario creado exitosamente',
-      data: {
-        user: newUser.toJSON()
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en createUser:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos de usuario inválidos',
-        errors
-      });
-    }
+  // Enviar correo de verificación (un fallo de envío no impide el registro)
+  try {
+    await enviarCorreoVerificacion(newUser);
+  } catch (mailError) {
+    console.error('Error al enviar correo de verificación:', mailError);
+  }
 
-    // Manejar error de email duplicado
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'El email ya está registrado'
-      });
-    }
+  asignarVisor(newUser, visorPropio(newUser));
 
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
+  res.status(201).json({
+    success: true,
+    code: 'USER_CREATED',
+    message: req.t('USER_CREATED'),
+    data: {
+      user: newUser.toJSON()
+    }
+  });
+});
 
 // @desc    Listar todos los usuarios
 // @route   GET /api/users
 // @access  Public
-const getUsers = async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      rol, 
-      ubicacion,
-      radio = 10 
-    } = req.query;
-
-    const query = {};
-
-    // Filtrar por rol si se especifica
-    if (rol && ['oferente', 'solicitante'].includes(rol)) {
-      query.rol = rol;
+const getUsers = asyncHandler(async (req, res) => {
+  const {
+    rol,
+    minRating,
+    skill,
+    ordenarPor
+  } = req.query;
+
+  const query = {};
+
+  // Filtrar por rol si se especifica
+  if (rol && ['oferente', 'solicitante'].includes(rol)) {
+    query.rol = rol;
+  }
+
+  // Filtrar por calificación mínima si se especifica
+  if (minRating !== undefined) {
+    const calificacionMinima = parseFloat(minRating);
+    if (isNaN(calificacionMinima) || calificacionMinima < 0 || calificacionMinima > 5) {
+      throw new BadRequestError('INVALID_MIN_RATING');
     }
+    query.calificacionPromedio = { $gte: calificacionMinima };
+  }
 
-    // Construir consulta geográfica si se proporciona ubicación
-    let geoQuery = {};
-    if (ubicacion) {
-      try {
-        const [longitud, latitud] = ubicacion.split(',').map(coord => parseFloat(coord.trim()));
-        if (!isNaN(longitud) && !isNaN(latitud)) {
-          geoQuery = {
-            ubicacion: {
-              $near: {
-                $geometry: {
-                  type: 'Point',
-                  coordinates: [longitud, latitud]
-                },
-                $maxDistance: radio * 1000 // Convertir km a metros
-              }
-            }
-          };
-        }
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          message: 'Formato de ubicación inválido. Use: longitud,latitud'
-        });
-      }
+  // Validar el filtro por skill, la búsqueda geográfica (cercanía o zona), la
+  // paginación y el ordenamiento
+  const errors = [];
+
+  // Filtrar por skill (incluye sus sinónimos si está en el catálogo)
+  if (skill !== undefined) {
+    if (typeof skill !== 'string') {
+      errors.push({ field: 'skill', code: 'FIELD_NOT_STRING' });
+    } else if (!skill.trim()) {
+      errors.push({ field: 'skill', code: 'FIELD_EMPTY' });
+    } else {
+      query.skills = filtroDeSkill(skill);
     }
+  }
+
+  const geo = leerBusquedaGeo(req.query, errors);
+  const zona = leerZonaGeo(req.query, errors);
 
-    // Combinar consultas
-    const finalQuery = { ...query, ...geoQuery };
+  // En las búsquedas por zona (vista de un mapa) se devuelven por defecto todos
+  // los resultados, hasta un máximo por página
+  const { pagina, limite, skip } = leerPaginacion(req.query, errors, zona
+    ? { porDefecto: MAXIMO_RESULTADOS_ZONA, maximo: MAXIMO_RESULTADOS_ZONA }
+    : {});
 
-    // Paginación
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const users = await User.find(finalQuery)
+  // Con ubicación el orden por defecto es la distancia (ascendente)
+  const campoOrden = ordenarPor || (geo ? 'distancia' : 'fechaRegistro');
+  const { orden = campoOrden === 'distancia' ? 'asc' : 'desc' } = req.query;
+
+  if (!CAMPOS_ORDENAMIENTO.includes(campoOrden)) {
+    errors.push({ field: 'ordenarPor', code: 'FIELD_INVALID_OPTION', params: { values: CAMPOS_ORDENAMIENTO.join(', ') } });
+  } else if (campoOrden === 'distancia' && !geo && req.query.ubicacion === undefined) {
+    errors.push({ field: 'ordenarPor', code: 'DISTANCE_SORT_REQUIRES_LOCATION' });
+  }
+  if (!['asc', 'desc'].includes(orden)) {
+    errors.push({ field: 'orden', code: 'FIELD_INVALID_OPTION', params: { values: 'asc, desc' } });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_QUERY_PARAMS', errors);
+  }
+
+  // Filtrar por zona del mapa (bbox o polígono)
+  if (zona) {
+    Object.assign(query, zona);
+  }
+
+  // Configurar ordenamiento
+  const sortOrder = orden === 'asc' ? 1 : -1;
+  const sortOptions = {
+    calificacion: { calificacionPromedio: sortOrder, totalResenas: sortOrder },
+    distancia: { distancia: sortOrder },
+    fechaRegistro: { fechaRegistro: sortOrder }
+  }[campoOrden];
+
+  let users;
+  let total;
+
+  if (geo) {
+    ({ documentos: users, total } = await buscarCercanos(User, {
+      busqueda: geo,
+      filtro: query,
+      orden: sortOptions,
+      skip,
+      limit: limite,
+      proyeccion: { password: 0 } // Excluir contraseñas
+    }));
+  } else {
+    users = await User.find(query)
       .select('-password') // Excluir contraseñas
-      .limit(parseInt(limit))
+      .limit(limite)
       .skip(skip)
-      .sort({ fechaRegistro: -1 });
-
-    const total = await User.countDocuments(finalQuery);
-
-    res.status(200).json({
-      success: true,
-      message: 'Usuarios obtenidos exitosamente',
-      data: {
-        users,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalUsers: total,
-          hasNext: skip + parseInt(limit) < total,
-          hasPrev: parseInt(page) > 1
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en getUsers:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+      .sort(sortOptions);
+    total = await User.countDocuments(query);
   }
-};
-
-// @desc    Actualizar información del usuario
-// @route   PUT /api/users/:id
-// @access  Private
-const updateUser = async (req, res) => {
-  try {
-    // Usar el ID del usuario autenticado del token JWT
-    const id = req.user._id;
-    const updates = req.body;
-
-    console.log('=== UPDATE USER REQUEST ===');
-    console.log('User ID from token:', id);
-    console.log('Updates received:', updates);
-    console.log('Request headers:', req.headers);
-
-    // No permitir actualizar contraseña desde esta ruta
-    if (updates.password) {
-      delete updates.password;
-    }
 
-    // Limpiar y validar datos de entrada
-    if (updates.nombre !== undefined) {
-      updates.nombre = updates.nombre ? updates.nombre.trim() : '';
-      if (!updates.nombre) {
-        return res.status(400).json({
-          success: false,
-          message: 'El nombre no puede estar vacío',
-          field: 'nombre'
-        });
+  // Mostrar el contacto y la ubicación de cada usuario según su privacidad
+  asignarVisor(users, await obtenerVisor(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'USERS_RETRIEVED',
+    message: req.t('USERS_RETRIEVED'),
+    data: {
+      users,
+      pagination: {
+        currentPage: pagina,
+        totalPages: Math.ceil(total / limite),
+        totalUsers: total,
+        hasNext: skip + limite < total,
+        hasPrev: pagina > 1
       }
     }
-
-    if (updates.telefono !== undefined && updates.telefono) {
-      updates.telefono = updates.telefono.trim();
-      if (updates.telefono === '') {
-        updates.telefono = undefined; // Eliminar si está vacío
-      }
+  });
+});
+
+// Función para aplicar los cambios del perfil del usuario autenticado.
+// El cuerpo llega validado y filtrado por updateUserSchema (sin contraseña ni rol).
+// Devuelve el usuario actualizado, preparado para que lo vea el propio usuario.
+const actualizarPerfil = async (user, updates) => {
+  // Un cambio de email requiere verificar de nuevo la cuenta
+  const cambiaEmail = updates.email !== undefined && updates.email !== user.email;
+  if (cambiaEmail) {
+    if (await User.exists({ email: updates.email })) {
+      throw new ConflictError('EMAIL_ALREADY_REGISTERED');
     }
+    updates.emailVerificado = false;
 
-    if (updates.skills !== undefined) {
-      if (Array.isArray(updates.skills)) {
-        updates.skills = updates.skills
-          .map(skill => skill ? skill.trim() : '')
-          .filter(skill => skill !== ''); // Eliminar skills vacías
-      }
-    }
+    // Los enlaces pendientes se enviaron al email anterior
+    await invalidarTokensUnUso(user._id);
+  }
 
-    // Validar que el usuario existe
-    const user = await User.findById(id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
-    }
+  // Guardar las skills con el nombre del catálogo
+  if (updates.skills !== undefined) {
+    updates.skills = normalizarSkills(updates.skills);
+  }
 
-    // Validar y procesar ubicación si se proporciona
-    if (updates.ubicacion) {
-      // Si se envía ubicación vacía o nula, eliminar la ubicación
-      if (!updates.ubicacion.coordinates || 
-          updates.ubicacion.coordinates.length === 0 ||
-          (updates.ubicacion.coordinates[0] === null && updates.ubicacion.coordinates[1] === null)) {
-        updates.ubicacion = undefined;
-      } else if (updates.ubicacion.coordinates && updates.ubicacion.coordinates.length === 2) {
-        // Validar coordenadas válidas
-        const [longitud, latitud] = updates.ubicacion.coordinates;
-        if (isNaN(longitud) || isNaN(latitud) || 
-            longitud < -180 || longitud > 180 || 
-            latitud < -90 || latitud > 90) {
-          return res.status(400).json({
-            success: false,
-            message: 'Las coordenadas deben ser [longitud, latitud] válidas'
-          });
-        }
-        // Formatear ubicación correctamente
-        updates.ubicacion = {
-          type: 'Point',
-          coordinates: [parseFloat(longitud), parseFloat(latitud)]
-        };
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Las coordenadas deben ser [longitud, latitud]'
-        });
-      }
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    updates,
+    {
+      new: true,
+      runValidators: true
     }
+  );
 
-    // Actualizar usuario
-    const updatedUser = await User.findByIdAndUpdate(
-      id,
-      updates,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    );
-
-    console.log('=== UPDATE USER SUCCESS ===');
-    console.log('Updated user:', updatedUser);
-
-    // Crear respuesta sin password
-    const userResponse = {
-      _id: updatedUser._id,
-      nombre: updatedUser.nombre,
-      email: updatedUser.email,
-      telefono: updatedUser.telefono,
-      rol: updatedUser.rol,
-      skills: updatedUser.skills,
-      ubicacion: updatedUser.ubicacion,
-      fechaRegistro: updatedUser.fechaRegistro
-    };
-
-    const response = {
-      success: true,
-      message: 'Usuario actualizado exitosamente',
-      data: {
-        user: userResponse
-      }
-    };
-
-    console.log('=== SENDING RESPONSE ===');
-    console.log('Response:', response);
-
-    res.status(200).json(response);
-
-  } catch (error) {
-    console.error('Error en updateUser:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos de usuario inválidos',
-        errors
-      });
-    }
+  if (!updatedUser) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
 
-    // Manejar error de email duplicado
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'El email ya está registrado'
-      });
+  // Enviar el enlace de verificación al nuevo email (un fallo de envío no
+  // impide el cambio; se puede pedir de nuevo el enlace)
+  if (cambiaEmail) {
+    try {
+      await enviarCorreoVerificacion(updatedUser);
+    } catch (mailError) {
+      console.error('Error al enviar correo de verificación:', mailError);
     }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
   }
+
+  // El propio usuario ve todos sus datos (sin contraseña ni secretos)
+  asignarVisor(updatedUser, visorPropio(user));
+  return updatedUser;
 };
 
+// @desc    Actualizar información del usuario
+// @route   PUT /api/users/:id
+// @access  Private
+const updateUser = asyncHandler(async (req, res) => {
+  // Siempre se actualiza el usuario autenticado del token JWT
+  const updatedUser = await actualizarPerfil(req.user, req.body);
+
+  res.status(200).json({
+    success: true,
+    code: 'USER_UPDATED',
+    message: req.t('USER_UPDATED'),
+    data: {
+      user: updatedUser.toJSON()
+    }
+  });
+});
+
 // @desc    Obtener usuario por ID
 // @route   GET /api/users/:id
 // @access  Public
-const getUserById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const user = await User.findById(id).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
-    }
+const getUserById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    res.status(200).json({
-      success: true,
-      message: 'Usuario obtenido exitosamente',
-      data: {
-        user
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en getUserById:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  const user = await User.findById(id).select('-password');
+  
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
   }
-};
+
+  asignarVisor(user, await obtenerVisor(req.user));
+
+  res.status(200).json({
+    success: true,
+    code: 'USER_RETRIEVED',
+    message: req.t('USER_RETRIEVED'),
+    data: {
+      user
+    }
+  });
+});
 
 // @desc    Cambiar contraseña del usuario
 // @route   PUT /api/users/:id/password
 // @access  Private
-const changePassword = async (req, res) => {
-  try {
-    // Usar el ID del usuario autenticado del token JWT
-    const id = req.user._id;
+const changePassword = asyncHandler(async (req, res) => {
+  // Usar el ID del usuario autenticado del token JWT
+  const id = req.user._id;
 
-    const { currentPassword, newPassword } = req.body;
+  const { currentPassword, newPassword } = req.body;
 
-    // Validar datos requeridos
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Contraseña actual y nueva contraseña son requeridas'
-      });
-    }
+  // Validar datos requeridos
+  if (!currentPassword || !newPassword) {
+    throw new BadRequestError('PASSWORDS_REQUIRED');
+  }
 
-    // Validar longitud de nueva contraseña
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'La nueva contraseña debe tener al menos 6 caracteres'
-      });
-    }
+  // Validar longitud de nueva contraseña
+  if (newPassword.length < 6) {
+    throw new BadRequestError('NEW_PASSWORD_TOO_SHORT');
+  }
 
-    // Buscar usuario
-    const user = await User.findById(id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
-    }
+  // Buscar usuario
+  const user = await User.findById(id);
+  if (!user) {
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
 
-    // Verificar contraseña actual
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    if (!isCurrentPasswordValid) {
-      return res.status(400).json({
-        success: false,
-        message: 'La contraseña actual es incorrecta'
-      });
-    }
+  // Verificar contraseña actual
+  const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+  if (!isCurrentPasswordValid) {
+    throw new BadRequestError('WRONG_CURRENT_PASSWORD');
+  }
 
-    // Actualizar contraseña
-    user.password = newPassword;
-    await user.save();
-
-    res.status(200).json({
-      success: true,
-      message: 'Contraseña actualizada exitosamente'
-    });
-
-  } catch (error) {
-    console.error('Error en changePassword:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos inválidos',
-        errors
-      });
-    }
+  // Actualizar contraseña
+  user.password = newPassword;
+  await user.save();
 
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    code: 'PASSWORD_UPDATED',
+    message: req.t('PASSWORD_UPDATED')
+  });
+});
 
 // @desc    Actualizar información del usuario autenticado
 // @route   PUT /api/users/profile
 // @access  Private
-const updateMyProfile = async (req, res) => {
-  try {
-    const updates = req.body;
-
-    // No permitir actualizar contraseña desde esta ruta
-    if (updates.password) {
-      delete updates.password;
-    }
-
-    // Limpiar y validar datos de entrada
-    if (updates.nombre !== undefined) {
-      updates.nombre = updates.nombre ? updates.nombre.trim() : '';
-      if (!updates.nombre) {
-        return res.status(400).json({
-          success: false,
-          message: 'El nombre no puede estar vacío',
-          field: 'nombre'
-        });
-      }
-    }
-
-    if (updates.telefono !== undefined && updates.telefono) {
-      updates.telefono = updates.telefono.trim();
-      if (updates.telefono === '') {
-        updates.telefono = undefined; // Eliminar si está vacío
-      }
-    }
-
-    if (updates.skills !== undefined) {
-      if (Array.isArray(updates.skills)) {
-        updates.skills = updates.skills
-          .map(skill => skill ? skill.trim() : '')
-          .filter(skill => skill !== ''); // Eliminar skills vacías
-      }
-    }
-
-    // Validar y procesar ubicación si se proporciona
-    if (updates.ubicacion) {
-      // Si se envía ubicación vacía o nula, eliminar la ubicación
-      if (!updates.ubicacion.coordinates || 
-          updates.ubicacion.coordinates.length === 0 ||
-          (updates.ubicacion.coordinates[0] === null && updates.ubicacion.coordinates[1] === null)) {
-        updates.ubicacion = undefined;
-      } else if (updates.ubicacion.coordinates && updates.ubicacion.coordinates.length === 2) {
-        // Validar coordenadas válidas
-        const [longitud, latitud] = updates.ubicacion.coordinates;
-        if (isNaN(longitud) || isNaN(latitud) || 
-            longitud < -180 || longitud > 180 || 
-            latitud < -90 || latitud > 90) {
-          return res.status(400).json({
-            success: false,
-            message: 'Las coordenadas deben ser [longitud, latitud] válidas'
-          });
-        }
-        // Formatear ubicación correctamente
-        updates.ubicacion = {
-          type: 'Point',
-          coordinates: [parseFloat(longitud), parseFloat(latitud)]
-        };
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Las coordenadas deben ser [longitud, latitud]'
-        });
-      }
-    }
-
-    // Actualizar usuario usando el ID del token JWT
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    );
-
-    console.log('=== UPDATE MY PROFILE SUCCESS ===');
-    console.log('Updated user:', updatedUser);
-
-    // Crear respuesta sin password
-    const userResponse = {
-      _id: updatedUser._id,
-      nombre: updatedUser.nombre,
-      email: updatedUser.email,
-      telefono: updatedUser.telefono,
-      rol: updatedUser.rol,
-      skills: updatedUser.skills,
-      ubicacion: updatedUser.ubicacion,
-      fechaRegistro: updatedUser.fechaRegistro
-    };
-
-    res.status(200).json({
-      success: true,
-      message: 'Perfil actualizado exitosamente',
-      data: {
-        user: userResponse
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en updateMyProfile:', error);
-    
-    // Manejar errores de validación de Mongoose
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Datos de usuario inválidos',
-        errors
-      });
+const updateMyProfile = asyncHandler(async (req, res) => {
+  const updatedUser = await actualizarPerfil(req.user, req.body);
+
+  res.status(200).json({
+    success: true,
+    code: 'PROFILE_UPDATED',
+    message: req.t('PROFILE_UPDATED'),
+    data: {
+      user: updatedUser.toJSON()
     }
+  });
+});
 
-    // Manejar error de email duplicado
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'El email ya está registrado'
-      });
+// @desc    Configurar quién puede ver mi email y mi teléfono
+// @route   PUT /api/users/me/privacidad
+// @access  Private
+// El cuerpo llega validado por privacySchema ({ email, telefono })
+const updatePrivacy = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  Object.entries(req.body).forEach(([campo, nivel]) => {
+    user.privacidad[campo] = nivel;
+  });
+  await user.save();
+
+  asignarVisor(user, visorPropio(user));
+
+  res.status(200).json({
+    success: true,
+    code: 'PRIVACY_UPDATED',
+    message: req.t('PRIVACY_UPDATED'),
+    data: {
+      privacidad: user.privacidad
     }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
+  });
+});
 
 module.exports = {
   createUser,
@@ -574,6 +388,7 @@ module.exports = {
   updateUser,
   updateMyProfile,
   getUserById,
-  changePassword
+  changePassword,
+  updatePrivacy
 };
 
@@ -1,59 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { sesionActiva } = require('../utils/tokens');
+const asyncHandler = require('../utils/asyncHandler');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-// Middleware para verificar token JWT
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+// Middleware para verificar token JWT.
+// Los errores de jsonwebtoken (token inválido o expirado) los traduce el
+// middleware global de errores.
+const authenticateToken = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token de acceso requerido'
-      });
-    }
+  if (!token) {
+    throw new UnauthorizedError('TOKEN_REQUIRED');
+  }
 
-    // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Buscar usuario en la base de datos
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido - Usuario no encontrado'
-      });
-    }
+  // Verificar token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Agregar usuario al objeto request
-    req.user = user;
-    next();
+  // Verificar que la sesión del token no haya sido revocada
+  if (!(await sesionActiva(decoded.familia))) {
+    throw new UnauthorizedError('SESSION_REVOKED');
+  }
 
-  } catch (error) {
-    console.error('Error en authenticateToken:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expirado'
-      });
-    }
+  // Buscar usuario en la base de datos
+  const user = await User.findById(decoded.userId);
 
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor'
-    });
+  if (!user) {
+    throw new UnauthorizedError('TOKEN_USER_NOT_FOUND');
   }
-};
+
+  if (user.suspendido) {
+    throw new ForbiddenError('ACCOUNT_SUSPENDED');
+  }
+
+  // Agregar usuario y sesión al objeto request
+  req.user = user;
+  req.familiaSesion = decoded.familia;
+  next();
+});
 
 // Middleware opcional para autenticación (no falla si no hay token)
 const optionalAuth = async (req, res, next) => {
@@ -63,10 +48,15 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      
-      if (user) {
-        req.user = user;
+
+      // Ignorar tokens de sesiones revocadas
+      if (await sesionActiva(decoded.familia)) {
+        const user = await User.findById(decoded.userId);
+
+        if (user && !user.suspendido) {
+          req.user = user;
+          req.familiaSesion = decoded.familia;
+        }
       }
     }
     
@@ -77,8 +67,31 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Middleware para restringir el acceso a ciertos roles.
+// Debe usarse después de authenticateToken.
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.rol)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+};
+
+// Middleware para exigir email verificado (solo si REQUIRE_EMAIL_VERIFICATION=true).
+// Debe usarse después de authenticateToken.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.emailVerificado) {
+    return next();
+  }
+
+  next(new ForbiddenError('EMAIL_NOT_VERIFIED'));
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  authorize,
+  requireVerifiedEmail
 };
 
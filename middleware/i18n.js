@@ -0,0 +1,16 @@
+const { idiomaDesdeCabecera, traducir } = require('../utils/i18n');
+
+// Middleware para elegir el idioma de la respuesta a partir de Accept-Language.
+// Deja en req.t una función para traducir códigos del catálogo.
+const detectLanguage = (req, res, next) => {
+  req.idioma = idiomaDesdeCabecera(req.headers['accept-language']);
+  req.t = (codigo, params) => traducir(codigo, req.idioma, params);
+
+  res.set('Content-Language', req.idioma);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  detectLanguage
+};
@@ -0,0 +1,152 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const politicas = require('../config/rateLimits.json');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Límite de peticiones por ventana fija de tiempo.
+//
+// Cada política (config/rateLimits.json) indica el máximo de peticiones, la
+// duración de la ventana y si se cuenta por IP o por usuario autenticado
+// ("usuario" cuenta por IP cuando la petición no trae un usuario).
+
+// Almacenes disponibles. Todos exponen la misma interfaz async:
+//   incrementar(clave, ventanaMs) -> { contador, expiraEn (ms) }
+const crearStoreMemoria = () => {
+  const contadores = new Map();
+
+  // Limpiar periódicamente las ventanas vencidas para no acumular claves
+  setInterval(() => {
+    const ahora = Date.now();
+    contadores.forEach((registro, clave) => {
+      if (registro.expiraEn <= ahora) contadores.delete(clave);
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    incrementar: async (clave, ventanaMs) => {
+      const ahora = Date.now();
+      let registro = contadores.get(clave);
+
+      if (!registro || registro.expiraEn <= ahora) {
+        registro = { contador: 0, expiraEn: ahora + ventanaMs };
+        contadores.set(clave, registro);
+      }
+
+      registro.contador += 1;
+      return { ...registro };
+    }
+  };
+};
+
+const storeMongo = {
+  incrementar: async (clave, ventanaMs) => {
+    const ahora = new Date();
+
+    // Una ventana vencida que el índice TTL aún no eliminó se reinicia
+    await RateLimitCounter.deleteOne({ clave, expiraEn: { $lte: ahora } });
+
+    const actualizar = () => RateLimitCounter.findOneAndUpdate(
+      { clave },
+      {
+        $inc: { contador: 1 },
+        $setOnInsert: { expiraEn: new Date(ahora.getTime() + ventanaMs) }
+      },
+      { new: true, upsert: true }
+    ).lean();
+
+    let registro;
+    try {
+      registro = await actualizar();
+    } catch (error) {
+      // Dos peticiones simultáneas pueden intentar crear el mismo contador
+      if (error.code !== 11000) throw error;
+      registro = await actualizar();
+    }
+
+    return { contador: registro.contador, expiraEn: registro.expiraEn.getTime() };
+  }
+};
+
+const stores = {
+  memory: crearStoreMemoria,
+  mongo: () => storeMongo
+};
+
+let store = null;
+
+// Función para reemplazar el almacén de contadores. Acepta el nombre de un
+// almacén registrado (memory | mongo) o un objeto con la misma interfaz.
+const setStore = (nuevoStore) => {
+  if (nuevoStore === null || typeof nuevoStore === 'object') {
+    store = nuevoStore;
+    return;
+  }
+
+  if (!stores[nuevoStore]) {
+    throw new Error(`Almacén de límite de peticiones no soportado: ${nuevoStore}`);
+  }
+
+  store = stores[nuevoStore]();
+};
+
+// Función para obtener el almacén configurado (RATE_LIMIT_STORE, por defecto memory)
+const obtenerStore = () => {
+  if (!store) {
+    setStore(process.env.RATE_LIMIT_STORE || 'memory');
+  }
+  return store;
+};
+
+// Middleware para limitar las peticiones según una política. Acepta el nombre
+// de una política de config/rateLimits.json o un objeto { nombre, max, ventanaMinutos, por }.
+// Las políticas por usuario deben ir después de authenticateToken u optionalAuth.
+const rateLimit = (politica) => {
+  const { nombre, max, ventanaMinutos, por = 'ip' } = typeof politica === 'string'
+    ? { nombre: politica, ...politicas[politica] }
+    : politica;
+
+  if (!nombre || !max || !ventanaMinutos) {
+    throw new Error(`Política de límite de peticiones no válida: ${JSON.stringify(politica)}`);
+  }
+
+  const ventanaMs = ventanaMinutos * 60 * 1000;
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    const cliente = por === 'usuario' && req.user
+      ? `usuario:${req.user._id}`
+      : `ip:${req.ip}`;
+
+    let registro;
+    try {
+      registro = await obtenerStore().incrementar(`${nombre}:${cliente}`, ventanaMs);
+    } catch (error) {
+      // Si el almacén falla se deja pasar la petición en lugar de bloquear la API
+      console.error('Error en el límite de peticiones:', error);
+      return next();
+    }
+
+    const segundosReinicio = Math.max(1, Math.ceil((registro.expiraEn - Date.now()) / 1000));
+
+    // Cabeceras estándar RateLimit-*
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - registro.contador)),
+      'RateLimit-Reset': String(segundosReinicio),
+      'RateLimit-Policy': `${max};w=${ventanaMinutos * 60}`
+    });
+
+    if (registro.contador > max) {
+      return next(new TooManyRequestsError('RATE_LIMIT_EXCEEDED', { segundos: segundosReinicio }, segundosReinicio));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  setStore
+};
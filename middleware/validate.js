@@ -0,0 +1,170 @@
+// Validación declarativa del cuerpo de las peticiones.
+//
+// Un esquema describe los campos aceptados y sus reglas, con la misma forma que
+// los modelos de Mongoose (cada regla acepta un valor o [valor, código]):
+//
+//   titulo: { type: 'string', required: [true, 'TITLE_REQUIRED'], maxlength: 100 }
+//
+// Tipos: string, number, array (de textos) y point ({ coordinates: [longitud, latitud] }).
+// Los campos que no aparecen en el esquema se descartan, de modo que el controlador
+// solo recibe en req.body los campos permitidos ya limpios.
+//
+// Los errores se devuelven como { field, code, params }; el mensaje se traduce
+// con el catálogo de locales/ al responder.
+
+const { ValidationError } = require('../utils/errors');
+
+// Función para obtener el valor de una regla escrita como valor o [valor, código]
+const valorDe = (regla) => (Array.isArray(regla) ? regla[0] : regla);
+
+// Función para obtener el código de una regla, o el código por defecto
+const codigoDe = (regla, porDefecto) => (Array.isArray(regla) && regla[1]) || porDefecto;
+
+// Función para saber si un valor está vacío (null, texto en blanco o ubicación sin coordenadas)
+const estaVacio = (valor, tipo) => {
+  if (valor === null) return true;
+  if (typeof valor === 'string') return valor.trim() === '';
+  if (tipo === 'point' && typeof valor === 'object') {
+    const coordenadas = valor.coordinates;
+    return !coordenadas ||
+      (Array.isArray(coordenadas) && coordenadas.every(coordenada => coordenada === null || coordenada === ''));
+  }
+  return false;
+};
+
+// Conversión y limpieza de cada tipo. Devuelven { valor } o { error: código }.
+const tipos = {
+  string: (valor, reglas) => {
+    if (typeof valor !== 'string') {
+      return { error: 'FIELD_NOT_STRING' };
+    }
+    let texto = reglas.trim === false ? valor : valor.trim();
+    if (reglas.lowercase) texto = texto.toLowerCase();
+    return { valor: texto };
+  },
+
+  number: (valor, reglas) => {
+    const numero = typeof valor === 'string' ? Number(valor) : valor;
+    if (typeof numero !== 'number' || isNaN(numero)) {
+      return { error: 'FIELD_NOT_NUMBER' };
+    }
+    if (reglas.integer && !Number.isInteger(numero)) {
+      return { error: 'FIELD_NOT_INTEGER' };
+    }
+    return { valor: numero };
+  },
+
+  array: (valor) => {
+    if (!Array.isArray(valor) || valor.some(item => item !== null && typeof item !== 'string')) {
+      return { error: 'FIELD_NOT_STRING_ARRAY' };
+    }
+    // Eliminar elementos vacíos
+    return {
+      valor: valor
+        .map(item => (item ? item.trim() : ''))
+        .filter(item => item !== '')
+    };
+  },
+
+  point: (valor) => {
+    if (typeof valor !== 'object' || !Array.isArray(valor.coordinates) || valor.coordinates.length !== 2) {
+      return { error: 'COORDINATES_REQUIRED' };
+    }
+    const [longitud, latitud] = valor.coordinates.map(coordenada => parseFloat(coordenada));
+    if (isNaN(longitud) || isNaN(latitud) ||
+        longitud < -180 || longitud > 180 ||
+        latitud < -90 || latitud > 90) {
+      return { error: 'INVALID_COORDINATES' };
+    }
+    return { valor: { type: 'Point', coordinates: [longitud, latitud] } };
+  }
+};
+
+// Función para comprobar las reglas comunes sobre un valor ya convertido.
+// Devuelve { code, params } o null.
+const comprobarReglas = (valor, reglas) => {
+  if (reglas.enum) {
+    const { values, message } = Array.isArray(reglas.enum) ? { values: reglas.enum } : reglas.enum;
+    if (!values.includes(valor)) {
+      return { code: message || 'FIELD_INVALID_OPTION', params: { values: values.join(', ') } };
+    }
+  }
+
+  if (reglas.min !== undefined && valor < valorDe(reglas.min)) {
+    return { code: codigoDe(reglas.min, 'FIELD_MIN'), params: { min: valorDe(reglas.min) } };
+  }
+
+  if (reglas.max !== undefined && valor > valorDe(reglas.max)) {
+    return { code: codigoDe(reglas.max, 'FIELD_MAX'), params: { max: valorDe(reglas.max) } };
+  }
+
+  if (reglas.minlength !== undefined && valor.length < valorDe(reglas.minlength)) {
+    return { code: codigoDe(reglas.minlength, 'FIELD_MIN_LENGTH'), params: { minlength: valorDe(reglas.minlength) } };
+  }
+
+  if (reglas.maxlength !== undefined && valor.length > valorDe(reglas.maxlength)) {
+    return { code: codigoDe(reglas.maxlength, 'FIELD_MAX_LENGTH'), params: { maxlength: valorDe(reglas.maxlength) } };
+  }
+
+  if (reglas.match && !valorDe(reglas.match).test(valor)) {
+    return { code: codigoDe(reglas.match, 'FIELD_INVALID_FORMAT') };
+  }
+
+  return null;
+};
+
+// Middleware para validar req.body contra un esquema.
+// Con partial: true (actualizaciones) los campos obligatorios pueden omitirse,
+// pero si se envían no pueden estar vacíos; los campos con clearable: true
+// se pueden vaciar enviando null o "" para eliminarlos.
+const validateBody = (schema, { partial = false, code = 'VALIDATION_ERROR' } = {}) => {
+  return (req, res, next) => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const datos = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([campo, reglas]) => {
+      const valor = body[campo];
+      const requerido = valorDe(reglas.required);
+      const codigoRequerido = codigoDe(reglas.required, 'FIELD_REQUIRED');
+
+      if (valor === undefined) {
+        if (requerido && !partial) errors.push({ field: campo, code: codigoRequerido });
+        return;
+      }
+
+      if (estaVacio(valor, reglas.type)) {
+        if (requerido) {
+          errors.push({ field: campo, code: codigoRequerido });
+        } else if (partial && reglas.clearable) {
+          datos[campo] = null;
+        } else if (partial) {
+          errors.push({ field: campo, code: 'FIELD_EMPTY' });
+        }
+        return;
+      }
+
+      const resultado = tipos[reglas.type](valor, reglas);
+      const error = resultado.error
+        ? { code: resultado.error }
+        : comprobarReglas(resultado.valor, reglas);
+
+      if (error) {
+        errors.push({ field: campo, ...error });
+      } else {
+        datos[campo] = resultado.valor;
+      }
+    });
+
+    if (errors.length > 0) {
+      return next(new ValidationError(code, errors));
+    }
+
+    req.body = datos;
+    next();
+  };
+};
+
+module.exports = {
+  validateBody
+};
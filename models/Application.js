@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const applicationSchema = new mongoose.Schema({
+  servicio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'SERVICE_REQUIRED']
+  },
+  oferente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'OFFERER_REQUIRED']
+  },
+  mensaje: {
+    type: String,
+    required: [true, 'APPLICATION_MESSAGE_REQUIRED'],
+    trim: true,
+    maxlength: [500, 'APPLICATION_MESSAGE_TOO_LONG']
+  },
+  precioPropuesto: {
+    type: Number,
+    required: [true, 'PROPOSED_PRICE_REQUIRED'],
+    min: [0, 'PROPOSED_PRICE_NEGATIVE']
+  },
+  moneda: {
+    type: String,
+    default: 'MXN',
+    enum: ['MXN', 'USD', 'EUR']
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'aceptada', 'rechazada'],
+      message: 'APPLICATION_STATUS_INVALID'
+    },
+    default: 'pendiente'
+  },
+  fechaRespuesta: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Un oferente solo puede postularse una vez por servicio
+applicationSchema.index({ servicio: 1, oferente: 1 }, { unique: true });
+applicationSchema.index({ servicio: 1, estado: 1 });
+
+// Método para verificar si la postulación sigue abierta
+applicationSchema.methods.estaAbierta = function() {
+  return this.estado === 'pendiente';
+};
+
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  moneda: {
+    type: String,
+    required: [true, 'CURRENCY_REQUIRED'],
+    unique: true,
+    enum: {
+      values: ['MXN', 'USD', 'EUR'],
+      message: 'CURRENCY_INVALID'
+    }
+  },
+  // Valor de una unidad de la moneda expresado en la moneda base (MXN)
+  tasa: {
+    type: Number,
+    required: [true, 'RATE_REQUIRED'],
+    min: [0.000001, 'RATE_NOT_POSITIVE']
+  },
+  actualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Intentos fallidos de inicio de sesión por cuenta o por IP.
+// La clave tiene la forma "cuenta:<email>" o "ip:<dirección>".
+const loginAttemptSchema = new mongoose.Schema({
+  clave: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fallos: {
+    type: Number,
+    default: 0
+  },
+  bloqueadoHasta: {
+    type: Date,
+    default: null
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índice TTL para que MongoDB elimine los registros vencidos
+loginAttemptSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
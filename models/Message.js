@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  servicio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'SERVICE_REQUIRED']
+  },
+  remitente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'SENDER_REQUIRED']
+  },
+  destinatario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'RECIPIENT_REQUIRED']
+  },
+  contenido: {
+    type: String,
+    required: [true, 'CONTENT_REQUIRED'],
+    trim: true,
+    maxlength: [1000, 'MESSAGE_TOO_LONG']
+  },
+  leido: {
+    type: Boolean,
+    default: false
+  },
+  fechaLectura: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para recuperar hilos y contar mensajes no leídos
+messageSchema.index({ servicio: 1, remitente: 1, destinatario: 1, createdAt: 1 });
+messageSchema.index({ destinatario: 1, leido: 1 });
+messageSchema.index({ remitente: 1, createdAt: -1 });
+
+// Método estático para obtener el filtro de un hilo entre dos usuarios
+messageSchema.statics.filtroHilo = function(servicioId, usuarioA, usuarioB) {
+  return {
+    servicio: servicioId,
+    $or: [
+      { remitente: usuarioA, destinatario: usuarioB },
+      { remitente: usuarioB, destinatario: usuarioA }
+    ]
+  };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
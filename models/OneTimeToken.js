@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const oneTimeTokenSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'USER_REQUIRED']
+  },
+  tipo: {
+    type: String,
+    required: [true, 'TOKEN_TYPE_REQUIRED'],
+    enum: {
+      values: ['reset-password', 'verificacion-email'],
+      message: 'TOKEN_TYPE_INVALID'
+    }
+  },
+  // Email al que se envió el token: deja de valer si el usuario cambia de email
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Solo se guarda el hash SHA-256, nunca el token en claro
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  usadoEn: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+oneTimeTokenSchema.index({ usuario: 1, tipo: 1, usadoEn: 1 });
+
+// Índice TTL para que MongoDB elimine los tokens expirados
+oneTimeTokenSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OneTimeToken', oneTimeTokenSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Contador de peticiones de una política de límite de peticiones en la ventana actual.
+// La clave tiene la forma "<política>:ip:<dirección>" o "<política>:usuario:<id>".
+const rateLimitCounterSchema = new mongoose.Schema({
+  clave: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contador: {
+    type: Number,
+    default: 0
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+});
+
+// Índice TTL para que MongoDB elimine los contadores de ventanas pasadas
+rateLimitCounterSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'USER_REQUIRED']
+  },
+  // Solo se guarda el hash SHA-256, nunca el token en claro
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Identificador de la sesión: todos los tokens rotados comparten familia
+  familia: {
+    type: String,
+    required: true
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  usadoEn: {
+    type: Date,
+    default: null
+  },
+  revocadoEn: {
+    type: Date,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ familia: 1, revocadoEn: 1 });
+refreshTokenSchema.index({ usuario: 1, revocadoEn: 1 });
+
+// Índice TTL para que MongoDB elimine los tokens expirados
+refreshTokenSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+// Método para verificar si el token todavía puede usarse
+refreshTokenSchema.methods.estaVigente = function() {
+  return !this.usadoEn && !this.revocadoEn && this.expiraEn > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  servicio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'SERVICE_REQUIRED']
+  },
+  autor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'AUTHOR_REQUIRED']
+  },
+  destinatario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'RECIPIENT_REQUIRED']
+  },
+  calificacion: {
+    type: Number,
+    required: [true, 'RATING_REQUIRED'],
+    min: [1, 'RATING_MIN'],
+    max: [5, 'RATING_MAX'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'RATING_NOT_INTEGER'
+    }
+  },
+  comentario: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'COMMENT_TOO_LONG']
+  }
+}, {
+  timestamps: true
+});
+
+// Cada participante solo puede calificar una vez por servicio
+reviewSchema.index({ servicio: 1, autor: 1 }, { unique: true });
+reviewSchema.index({ destinatario: 1, createdAt: -1 });
+
+// Método estático para recalcular el promedio y total de reseñas de un usuario
+reviewSchema.statics.recalcularCalificacion = async function(userId) {
+  const [resumen] = await this.aggregate([
+    { $match: { destinatario: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$destinatario',
+        promedio: { $avg: '$calificacion' },
+        total: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const calificacionPromedio = resumen ? Math.round(resumen.promedio * 10) / 10 : 0;
+  const totalResenas = resumen ? resumen.total : 0;
+
+  await mongoose.model('User').findByIdAndUpdate(userId, {
+    calificacionPromedio,
+    totalResenas
+  });
+
+  return { calificacionPromedio, totalResenas };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,21 +1,28 @@
 const mongoose = require('mongoose');
+const { obtenerTasas, aMonedaBase } = require('../utils/exchangeRates');
+const { ubicacionPublica, agregarUbicacionAproximada, idDe } = require('../utils/privacy');
+const { distanciaVisible } = require('../utils/geo');
 
+// Días durante los que el creador puede restaurar un servicio eliminado
+const DIAS_GRACIA_RESTAURACION = parseInt(process.env.SERVICE_RESTORE_DAYS) || 7;
+
+// Los mensajes de validación son códigos del catálogo de locales/ y se traducen al responder
 const serviceSchema = new mongoose.Schema({
   titulo: {
     type: String,
-    required: [true, 'El título es obligatorio'],
+    required: [true, 'TITLE_REQUIRED'],
     trim: true,
-    maxlength: [100, 'El título no puede exceder 100 caracteres']
+    maxlength: [100, 'TITLE_TOO_LONG']
   },
   descripcion: {
     type: String,
-    required: [true, 'La descripción es obligatoria'],
+    required: [true, 'DESCRIPTION_REQUIRED'],
     trim: true,
-    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+    maxlength: [1000, 'DESCRIPTION_TOO_LONG']
   },
   categoria: {
     type: String,
-    required: [true, 'La categoría es obligatoria'],
+    required: [true, 'CATEGORY_REQUIRED'],
     trim: true,
     enum: {
       values: [
@@ -31,22 +38,27 @@ const serviceSchema = new mongoose.Schema({
         'eventos', 
         'otro'
       ],
-      message: 'Categoría no válida'
+      message: 'CATEGORY_INVALID'
     }
   },
   estado: {
     type: String,
-    required: [true, 'El estado es obligatorio'],
+    required: [true, 'STATUS_REQUIRED'],
     enum: {
-      values: ['pendiente', 'en progreso', 'completado'],
-      message: 'El estado debe ser "pendiente", "en progreso" o "completado"'
+      values: ['pendiente', 'en progreso', 'completado', 'cancelado'],
+      message: 'SERVICE_STATUS_INVALID'
     },
     default: 'pendiente'
   },
   creadoPor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'El creador es obligatorio']
+    required: [true, 'CREATOR_REQUIRED']
+  },
+  asignadoA: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   ubicacion: {
     type: {
@@ -64,17 +76,36 @@ const serviceSchema = new mongoose.Schema({
                  coords[0] >= -180 && coords[0] <= 180 && 
                  coords[1] >= -90 && coords[1] <= 90;
         },
-        message: 'Las coordenadas deben ser [longitud, latitud] válidas'
+        message: 'INVALID_COORDINATES'
       }
     }
   },
+  // Moderación: servicios ocultos o cerrados por un administrador
+  oculto: {
+    type: Boolean,
+    default: false
+  },
+  motivoCierre: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'REASON_TOO_LONG']
+  },
+  // Eliminación lógica: el servicio se conserva y puede restaurarse
+  eliminado: {
+    type: Boolean,
+    default: false
+  },
+  fechaEliminacion: {
+    type: Date,
+    default: null
+  },
   fechaPublicacion: {
     type: Date,
     default: Date.now
   },
   precio: {
     type: Number,
-    min: [0, 'El precio no puede ser negativo'],
+    min: [0, 'PRICE_NEGATIVE'],
     default: 0
   },
   moneda: {
@@ -82,9 +113,14 @@ const serviceSchema = new mongoose.Schema({
     default: 'MXN',
     enum: ['MXN', 'USD', 'EUR']
   },
+  // Precio convertido a la moneda base (MXN) para ordenar y filtrar entre monedas
+  precioBase: {
+    type: Number,
+    min: 0
+  },
   duracionEstimada: {
     type: Number,
-    min: [1, 'La duración debe ser al menos 1 hora'],
+    min: [1, 'DURATION_TOO_SHORT'],
     default: 1
   },
   unidadDuracion: {
@@ -96,14 +132,40 @@ const serviceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Índice 2dsphere para búsquedas geográficas
-serviceSchema.index({ ubicacion: '2dsphere' });
+// Ubicación aproximada guardada, con índice 2dsphere para las búsquedas geográficas
+agregarUbicacionAproximada(serviceSchema, 'service');
 
 // Índices para mejorar consultas
 serviceSchema.index({ categoria: 1 });
 serviceSchema.index({ estado: 1 });
 serviceSchema.index({ creadoPor: 1 });
+serviceSchema.index({ asignadoA: 1 });
 serviceSchema.index({ fechaPublicacion: -1 });
+serviceSchema.index({ eliminado: 1, fechaEliminacion: 1 });
+serviceSchema.index({ precioBase: 1 });
+
+// Índice de texto completo (idioma español) para la búsqueda con "q"
+serviceSchema.index(
+  { titulo: 'text', descripcion: 'text' },
+  {
+    name: 'busqueda_texto',
+    default_language: 'spanish',
+    weights: { titulo: 10, descripcion: 3 }
+  }
+);
+
+// Middleware para calcular el precio normalizado antes de guardar
+serviceSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('precio') && !this.isModified('moneda')) return next();
+
+  try {
+    const tasas = await obtenerTasas();
+    this.precioBase = aMonedaBase(this.precio, this.moneda, tasas);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Virtual para obtener la fecha de publicación formateada
 serviceSchema.virtual('fechaPublicacionFormateada').get(function() {
@@ -114,6 +176,30 @@ serviceSchema.virtual('fechaPublicacionFormateada').get(function() {
   });
 });
 
+// Serialización del servicio: la ubicación exacta solo la ven el creador, el
+// oferente asignado y los administradores (según el visor de doc.$locals.visor,
+// ver utils/privacy.js); el resto recibe una ubicación aproximada
+serviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const visor = doc.$locals.visor || null;
+    const ubicacionExacta = visor &&
+      (visor.admin || [idDe(doc.creadoPor), idDe(doc.asignadoA)].includes(visor.id));
+
+    delete ret.ubicacionAproximada;
+
+    if (ret.ubicacion && !ubicacionExacta) {
+      ret.ubicacion = ubicacionPublica(ret.ubicacion, doc.ubicacionAproximada, `service:${doc._id}`);
+    }
+
+    // Distancia al punto de búsqueda cuando el servicio viene de una búsqueda geográfica
+    if (doc.$locals.distancia) {
+      ret.distanciaKm = distanciaVisible(doc.$locals.distancia, ret.ubicacion);
+    }
+
+    return ret;
+  }
+});
+
 // Método para verificar si el servicio puede ser editado
 serviceSchema.methods.puedeSerEditado = function() {
   return this.estado === 'pendiente';
@@ -128,6 +214,74 @@ serviceSchema.methods.marcarEnProgreso = function() {
   throw new Error('Solo se pueden marcar servicios pendientes como en progreso');
 };
 
+// Método para asignar un oferente y marcar como en progreso en una sola
+// operación: solo tiene efecto si el servicio sigue pendiente, de modo que si
+// llegan dos aceptaciones a la vez solo una lo encuentra pendiente.
+// Devuelve el servicio actualizado, o null si ya no estaba pendiente.
+serviceSchema.methods.asignarYMarcarEnProgreso = function(oferenteId) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, estado: 'pendiente', eliminado: { $ne: true } },
+    { estado: 'en progreso', asignadoA: oferenteId },
+    { new: true, runValidators: true }
+  );
+};
+
+// Método para deshacer una asignación hecha con asignarYMarcarEnProgreso,
+// si el servicio sigue en progreso con el mismo oferente
+serviceSchema.methods.deshacerAsignacion = function(oferenteId) {
+  return this.constructor.updateOne(
+    { _id: this._id, estado: 'en progreso', asignadoA: oferenteId },
+    { estado: 'pendiente', asignadoA: null }
+  );
+};
+
+// Método para devolver a pendiente un servicio en progreso, retirando la asignación
+serviceSchema.methods.volverAPendiente = function() {
+  if (this.estado === 'en progreso') {
+    this.estado = 'pendiente';
+    this.asignadoA = null;
+    return this.save();
+  }
+  throw new Error('Solo se pueden devolver a pendiente servicios en progreso');
+};
+
+// Método para eliminar lógicamente el servicio
+serviceSchema.methods.eliminar = function() {
+  if (this.eliminado) {
+    throw new Error('El servicio ya está eliminado');
+  }
+  this.eliminado = true;
+  this.fechaEliminacion = new Date();
+  return this.save();
+};
+
+// Método para verificar si el servicio eliminado aún puede restaurarse
+serviceSchema.methods.puedeRestaurarse = function() {
+  if (!this.eliminado || !this.fechaEliminacion) return false;
+  const limite = this.fechaEliminacion.getTime() + DIAS_GRACIA_RESTAURACION * 24 * 60 * 60 * 1000;
+  return Date.now() <= limite;
+};
+
+// Método para restaurar un servicio eliminado dentro del periodo de gracia
+serviceSchema.methods.restaurar = function() {
+  if (!this.puedeRestaurarse()) {
+    throw new Error('El periodo para restaurar el servicio ha expirado');
+  }
+  this.eliminado = false;
+  this.fechaEliminacion = null;
+  return this.save();
+};
+
+// Método para cerrar el servicio por moderación
+serviceSchema.methods.cerrarPorModeracion = function(motivo) {
+  if (['completado', 'cancelado'].includes(this.estado)) {
+    throw new Error('El servicio ya está cerrado');
+  }
+  this.estado = 'cancelado';
+  this.motivoCierre = motivo;
+  return this.save();
+};
+
 // Método para marcar como completado
 serviceSchema.methods.marcarCompletado = function() {
   if (this.estado === 'en progreso') {
@@ -137,5 +291,15 @@ serviceSchema.methods.marcarCompletado = function() {
   throw new Error('Solo se pueden marcar servicios en progreso como completados');
 };
 
+// Equivalencia en horas de cada unidad de duración
+serviceSchema.statics.HORAS_POR_UNIDAD = {
+  horas: 1,
+  dias: 24,
+  semanas: 168
+};
+
+// Exponer el periodo de gracia para mensajes y documentación
+serviceSchema.statics.DIAS_GRACIA_RESTAURACION = DIAS_GRACIA_RESTAURACION;
+
 module.exports = mongoose.model('Service', serviceSchema);
 
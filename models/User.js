@@ -1,37 +1,64 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ubicacionPublica, agregarUbicacionAproximada } = require('../utils/privacy');
+const { distanciaVisible } = require('../utils/geo');
 
+// Niveles de visibilidad de los datos de contacto:
+// todos, usuarios registrados o solo contrapartes (creador y oferente asignado de un servicio)
+const NIVELES_PRIVACIDAD = ['todos', 'registrados', 'contrapartes'];
+
+// Límites del área de servicio de un oferente (km desde su ubicación)
+const RADIO_SERVICIO_MINIMO_KM = 1;
+const RADIO_SERVICIO_MAXIMO_KM = 100;
+
+const nivelPrivacidad = {
+  type: String,
+  enum: {
+    values: NIVELES_PRIVACIDAD,
+    message: 'PRIVACY_LEVEL_INVALID'
+  },
+  default: 'registrados'
+};
+
+// Los mensajes de validación son códigos del catálogo de locales/ y se traducen al responder
 const userSchema = new mongoose.Schema({
   nombre: {
     type: String,
-    required: [true, 'El nombre es obligatorio'],
+    required: [true, 'NAME_REQUIRED'],
     trim: true,
-    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+    maxlength: [50, 'NAME_TOO_LONG']
   },
   email: {
     type: String,
-    required: [true, 'El email es obligatorio'],
+    required: [true, 'EMAIL_REQUIRED'],
     unique: true,
     lowercase: true,
     trim: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Por favor ingresa un email válido']
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'EMAIL_INVALID']
+  },
+  emailVerificado: {
+    type: Boolean,
+    default: false
+  },
+  fechaVerificacionEmail: {
+    type: Date
   },
   password: {
     type: String,
-    required: [true, 'La contraseña es obligatoria'],
-    minlength: [6, 'La contraseña debe tener al menos 6 caracteres']
+    required: [true, 'PASSWORD_REQUIRED'],
+    minlength: [6, 'PASSWORD_TOO_SHORT']
   },
   telefono: {
     type: String,
     trim: true,
-    match: [/^[0-9+\-\s()]+$/, 'Por favor ingresa un teléfono válido']
+    match: [/^[0-9+\-\s()]+$/, 'PHONE_INVALID']
   },
   rol: {
     type: String,
-    required: [true, 'El rol es obligatorio'],
+    required: [true, 'ROLE_REQUIRED'],
     enum: {
-      values: ['oferente', 'solicitante'],
-      message: 'El rol debe ser "oferente" o "solicitante"'
+      values: ['oferente', 'solicitante', 'admin'],
+      message: 'ROLE_INVALID'
     }
   },
   skills: [{
@@ -54,10 +81,70 @@ const userSchema = new mongoose.Schema({
                  coords[0] >= -180 && coords[0] <= 180 && 
                  coords[1] >= -90 && coords[1] <= 90;
         },
-        message: 'Las coordenadas deben ser [longitud, latitud] válidas'
+        message: 'INVALID_COORDINATES'
       }
     }
   },
+  // Área de servicio del oferente: distancia máxima desde su ubicación a la que
+  // ofrece sus servicios. Sin ella (o sin ubicación) no aparece por cobertura.
+  radioServicioKm: {
+    type: Number,
+    min: RADIO_SERVICIO_MINIMO_KM,
+    max: RADIO_SERVICIO_MAXIMO_KM,
+    default: null
+  },
+  monedaPreferida: {
+    type: String,
+    enum: {
+      values: ['MXN', 'USD', 'EUR'],
+      message: 'PREFERRED_CURRENCY_INVALID'
+    }
+  },
+  calificacionPromedio: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  totalResenas: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  suspendido: {
+    type: Boolean,
+    default: false
+  },
+  fechaSuspension: {
+    type: Date
+  },
+  motivoSuspension: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'REASON_TOO_LONG']
+  },
+  // Quién puede ver el email y el teléfono del usuario
+  privacidad: {
+    email: nivelPrivacidad,
+    telefono: nivelPrivacidad
+  },
+  // Autenticación en dos pasos (TOTP). El secreto y los códigos de
+  // recuperación (guardados como hash) no se incluyen en las respuestas.
+  dosFactores: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    secreto: String,
+    // Secreto generado al iniciar la activación, pendiente de confirmar con un código
+    secretoPendiente: String,
+    codigosRecuperacion: {
+      type: [String],
+      default: undefined
+    },
+    // Último paso de tiempo aceptado, para no admitir dos veces el mismo código
+    ultimoPaso: Number
+  },
   fechaRegistro: {
     type: Date,
     default: Date.now
@@ -66,8 +153,11 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Índice 2dsphere para búsquedas geográficas
-userSchema.index({ ubicacion: '2dsphere' });
+// Ubicación aproximada guardada, con índice 2dsphere para las búsquedas geográficas
+agregarUbicacionAproximada(userSchema, 'user');
+
+// Índice para filtrar y ordenar por calificación
+userSchema.index({ calificacionPromedio: -1, totalResenas: -1 });
 
 // Middleware para encriptar contraseña antes de guardar
 userSchema.pre('save', async function(next) {
@@ -88,11 +178,58 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Método para obtener datos del usuario sin la contraseña
-userSchema.methods.toJSON = function() {
-  const userObject = this.toObject();
-  delete userObject.password;
-  return userObject;
+// Función para saber si quien consulta puede ver un dato del usuario con el nivel indicado.
+// visor: { id, admin, contrapartes } asignado con utils/privacy.js, o null si es anónimo.
+const puedeVerDato = (nivel, visor, userId) => {
+  if (!visor) return nivel === 'todos';
+  if (visor.admin || visor.id === userId) return true;
+  if (nivel === 'contrapartes') return visor.contrapartes.has(userId);
+  return true;
 };
 
+// Serialización del usuario, aplicada también cuando se incluye con populate:
+// quita la contraseña y los secretos de dos pasos, oculta el email y el
+// teléfono según la privacidad del usuario y aproxima la ubicación, según el
+// visor de doc.$locals.visor (sin visor se trata como una consulta anónima).
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const visor = doc.$locals.visor || null;
+    const userId = doc._id.toString();
+    const privacidad = doc.privacidad || {};
+
+    delete ret.password;
+    delete ret.ubicacionAproximada;
+
+    if (ret.dosFactores) {
+      ret.dosFactores = { activo: Boolean(doc.dosFactores.activo) };
+    }
+
+    ['email', 'telefono'].forEach(campo => {
+      if (ret[campo] !== undefined && !puedeVerDato(privacidad[campo] || 'registrados', visor, userId)) {
+        delete ret[campo];
+      }
+    });
+
+    // La ubicación exacta solo la ven el propio usuario, sus contrapartes y los administradores
+    if (ret.ubicacion && !puedeVerDato('contrapartes', visor, userId)) {
+      ret.ubicacion = ubicacionPublica(ret.ubicacion, doc.ubicacionAproximada, `user:${userId}`);
+    }
+
+    // Distancia al punto de búsqueda cuando el usuario viene de una búsqueda geográfica
+    if (doc.$locals.distancia) {
+      ret.distanciaKm = distanciaVisible(doc.$locals.distancia, ret.ubicacion);
+    }
+
+    // La configuración de privacidad solo la ve el propio usuario
+    if (!visor || visor.id !== userId) {
+      delete ret.privacidad;
+    }
+
+    return ret;
+  }
+});
+
+userSchema.statics.NIVELES_PRIVACIDAD = NIVELES_PRIVACIDAD;
+userSchema.statics.RADIO_SERVICIO_MAXIMO_KM = RADIO_SERVICIO_MAXIMO_KM;
+
 module.exports = mongoose.model('User', userSchema);
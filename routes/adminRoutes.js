@@ -0,0 +1,309 @@
+const express = require('express');
+const {
+  listUsers,
+  suspendUser,
+  reactivateUser,
+  closeService,
+  hideService,
+  showService,
+  purgeService,
+  getStats
+} = require('../controllers/adminController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas de administración requieren un usuario con rol admin
+router.use(authenticateToken, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Listar usuarios (incluye suspendidos)
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Usuarios por página, hasta 100
+ *       - in: query
+ *         name: rol
+ *         schema:
+ *           type: string
+ *           enum: [oferente, solicitante, admin]
+ *         description: Filtrar por rol
+ *       - in: query
+ *         name: suspendido
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por estado de suspensión
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Buscar por nombre o email
+ *     responses:
+ *       200:
+ *         description: Usuarios obtenidos exitosamente
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/users', listUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspender:
+ *   patch:
+ *     summary: Suspender usuario
+ *     description: El usuario suspendido no puede iniciar sesión y se revocan todas sus sesiones
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Publicaciones fraudulentas"
+ *     responses:
+ *       200:
+ *         description: Usuario suspendido exitosamente
+ *       400:
+ *         description: Usuario ya suspendido o administrador
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/users/:id/suspender', suspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivar:
+ *   patch:
+ *     summary: Reactivar usuario suspendido
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario reactivado exitosamente
+ *       400:
+ *         description: El usuario no está suspendido
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/users/:id/reactivar', reactivateUser);
+
+/**
+ * @swagger
+ * /api/admin/services/{id}/cerrar:
+ *   patch:
+ *     summary: Cerrar un servicio por moderación
+ *     description: Pasa el servicio a "cancelado" y rechaza sus postulaciones abiertas
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Contenido no permitido"
+ *     responses:
+ *       200:
+ *         description: Servicio cerrado exitosamente
+ *       400:
+ *         description: El servicio ya está cerrado
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/services/:id/cerrar', closeService);
+
+/**
+ * @swagger
+ * /api/admin/services/{id}/ocultar:
+ *   patch:
+ *     summary: Ocultar un servicio de los listados públicos
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio ocultado exitosamente
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/services/:id/ocultar', hideService);
+
+/**
+ * @swagger
+ * /api/admin/services/{id}/mostrar:
+ *   patch:
+ *     summary: Volver a mostrar un servicio oculto
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio visible nuevamente
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/services/:id/mostrar', showService);
+
+/**
+ * @swagger
+ * /api/admin/services/{id}:
+ *   delete:
+ *     summary: Eliminar definitivamente un servicio
+ *     description: Borra el servicio junto con sus postulaciones, mensajes y reseñas, y recalcula la calificación de los usuarios afectados
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio eliminado definitivamente
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/services/:id', purgeService);
+
+/**
+ * @swagger
+ * /api/admin/estadisticas:
+ *   get:
+ *     summary: Obtener estadísticas básicas de la plataforma
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estadísticas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     usuarios:
+ *                       type: object
+ *                     servicios:
+ *                       type: object
+ *                     postulaciones:
+ *                       type: integer
+ *                     resenas:
+ *                       type: integer
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/estadisticas', getStats);
+
+module.exports = router;
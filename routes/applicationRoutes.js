@@ -0,0 +1,265 @@
+const express = require('express');
+const {
+  createApplication,
+  getApplications,
+  acceptApplication,
+  rejectApplication
+} = require('../controllers/applicationController');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// mergeParams para acceder al :id del servicio definido en serviceRoutes
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Application:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         servicio:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109cb"
+ *         oferente:
+ *           $ref: '#/components/schemas/User'
+ *         mensaje:
+ *           type: string
+ *           example: "Tengo 5 años de experiencia en plomería, puedo ir mañana"
+ *         precioPropuesto:
+ *           type: number
+ *           example: 200
+ *         moneda:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *           example: "MXN"
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, aceptada, rechazada]
+ *           example: "pendiente"
+ *         fechaRespuesta:
+ *           type: string
+ *           format: date-time
+ *     CreateApplicationRequest:
+ *       type: object
+ *       required:
+ *         - mensaje
+ *         - precioPropuesto
+ *       properties:
+ *         mensaje:
+ *           type: string
+ *           example: "Tengo 5 años de experiencia en plomería, puedo ir mañana"
+ *         precioPropuesto:
+ *           type: number
+ *           example: 200
+ *         moneda:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *           example: "MXN"
+ */
+
+/**
+ * @swagger
+ * /api/services/{id}/postulaciones:
+ *   post:
+ *     summary: Postularse a un servicio
+ *     tags: [Postulaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApplicationRequest'
+ *     responses:
+ *       201:
+ *         description: Postulación enviada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Datos inválidos, servicio no pendiente o postulación duplicada
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Solo los oferentes pueden postularse
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', authenticateToken, rateLimit('escritura'), createApplication);
+
+/**
+ * @swagger
+ * /api/services/{id}/postulaciones:
+ *   get:
+ *     summary: Listar postulaciones de un servicio
+ *     description: El creador del servicio ve todas las postulaciones; un oferente solo ve la suya
+ *     tags: [Postulaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, aceptada, rechazada]
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Postulaciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Application'
+ *                     total:
+ *                       type: integer
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin permisos para ver las postulaciones
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', authenticateToken, rateLimit('lectura'), getApplications);
+
+/**
+ * @swagger
+ * /api/services/{id}/postulaciones/{postulacionId}/aceptar:
+ *   patch:
+ *     summary: Aceptar una postulación
+ *     description: Asigna el oferente al servicio, lo pasa a "en progreso" y rechaza el resto de postulaciones abiertas
+ *     tags: [Postulaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: path
+ *         name: postulacionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la postulación
+ *     responses:
+ *       200:
+ *         description: Postulación aceptada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     application:
+ *                       $ref: '#/components/schemas/Application'
+ *                     service:
+ *                       $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Postulación ya respondida o servicio no pendiente
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin permisos para gestionar las postulaciones
+ *       404:
+ *         description: Servicio o postulación no encontrados
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/:postulacionId/aceptar', authenticateToken, rateLimit('escritura'), acceptApplication);
+
+/**
+ * @swagger
+ * /api/services/{id}/postulaciones/{postulacionId}/rechazar:
+ *   patch:
+ *     summary: Rechazar una postulación
+ *     tags: [Postulaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: path
+ *         name: postulacionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la postulación
+ *     responses:
+ *       200:
+ *         description: Postulación rechazada exitosamente
+ *       400:
+ *         description: Postulación ya respondida
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin permisos para gestionar las postulaciones
+ *       404:
+ *         description: Servicio o postulación no encontrados
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/:postulacionId/rechazar', authenticateToken, rateLimit('escritura'), rejectApplication);
+
+module.exports = router;
@@ -1,6 +1,24 @@
 const express = require('express');
-const { login, getMe } = require('../controllers/authController');
+const {
+  login,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -22,6 +40,20 @@ const router = express.Router();
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
+ *               description: Access token JWT de corta duración
+ *             refreshToken:
+ *               type: string
+ *               description: Refresh token rotativo para renovar el access token
+ *             expiresIn:
+ *               type: string
+ *               example: "15m"
+ *     RefreshRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
  *     LoginRequest:
  *       type: object
  *       required:
@@ -36,6 +68,46 @@ const router = express.Router();
  *           type: string
  *           minLength: 6
  *           example: "123456"
+ *     DesafioDosFactores:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         code:
+ *           type: string
+ *           example: TWO_FACTOR_REQUIRED
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             requiresTwoFactor:
+ *               type: boolean
+ *               example: true
+ *             challengeToken:
+ *               type: string
+ *               description: Token de corta duración para canjear en /api/auth/2fa/verify
+ *             expiresIn:
+ *               type: string
+ *               example: "5m"
+ *     CodigosRecuperacion:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         code:
+ *           type: string
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             recoveryCodes:
+ *               type: array
+ *               description: Se muestran una sola vez; cada código sirve para un único inicio de sesión
+ *               items:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
  */
 
 /**
@@ -52,19 +124,28 @@ const router = express.Router();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Inicio de sesión exitoso
+ *         description: Inicio de sesión exitoso, o desafío de dos pasos (TWO_FACTOR_REQUIRED) si la cuenta lo tiene activado
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/DesafioDosFactores'
  *       400:
  *         description: Datos faltantes o inválidos
  *       401:
- *         description: Credenciales inválidas
+ *         description: Credenciales inválidas (INVALID_CREDENTIALS o INVALID_CREDENTIALS_ATTEMPTS_LEFT cuando quedan pocos intentos)
+ *       429:
+ *         description: Demasiados intentos fallidos (LOGIN_ACCOUNT_LOCKED, LOGIN_IP_LOCKED o LOGIN_RETRY_LATER). Incluye la cabecera Retry-After
+ *         headers:
+ *           Retry-After:
+ *             description: Segundos que hay que esperar antes de volver a intentarlo
+ *             schema:
+ *               type: integer
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/login', login);
+router.post('/login', rateLimit('login'), login);
 
 /**
  * @swagger
@@ -96,5 +177,383 @@ router.post('/login', login);
  */
 router.get('/me', authenticateToken, getMe);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar el access token
+ *     description: Rota el refresh token. Reutilizar un refresh token ya usado revoca toda la sesión.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Token renovado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: string
+ *       400:
+ *         description: Refresh token faltante
+ *       401:
+ *         description: Refresh token inválido, expirado o reutilizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/refresh', rateLimit('sesion'), refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar la sesión actual
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *       401:
+ *         description: Token inválido o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Cerrar todas las sesiones del usuario
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas las sesiones han sido cerradas
+ *       401:
+ *         description: Token inválido o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar restablecimiento de contraseña
+ *     description: Envía un enlace con un token de un solo uso. La respuesta es la misma aunque el email no exista.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: usuario@ejemplo.com
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Email faltante
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/forgot-password', rateLimit('cuenta'), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer contraseña
+ *     description: Consume el token recibido por correo y cierra todas las sesiones del usuario
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: "nueva123"
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida exitosamente
+ *       400:
+ *         description: Datos faltantes, token inválido o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/reset-password', rateLimit('cuenta'), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verificar email
+ *     description: Consume el token enviado por correo al registrarse
+ *     tags: [Autenticación]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token de verificación recibido por correo
+ *     responses:
+ *       200:
+ *         description: Email verificado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Token faltante, inválido o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/verify-email', rateLimit('cuenta'), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar correo de verificación
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Correo de verificación enviado
+ *       400:
+ *         description: El email ya está verificado
+ *       401:
+ *         description: Token inválido o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/resend-verification', authenticateToken, rateLimit('correo'), resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Completar el inicio de sesión con la verificación en dos pasos
+ *     description: Canjea el token de desafío devuelto por el login junto con un código de la app de autenticación o un código de recuperación. Los códigos incorrectos cuentan como intentos fallidos de inicio de sesión.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código de 6 dígitos o código de recuperación
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso (incluye recoveryCodesRemaining si se usó un código de recuperación)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Datos faltantes
+ *       401:
+ *         description: Token de desafío o código inválido
+ *       429:
+ *         description: Demasiados intentos fallidos
+ */
+router.post('/2fa/verify', rateLimit('login'), verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar la activación de la verificación en dos pasos
+ *     description: Genera un secreto TOTP pendiente de confirmar. La URI otpauth se puede mostrar como código QR para la app de autenticación.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: "otpauth://totp/LOCALAID:usuario%40ejemplo.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=LOCALAID"
+ *       400:
+ *         description: La verificación en dos pasos ya está activada
+ *       401:
+ *         description: Token inválido o expirado
+ */
+router.post('/2fa/setup', authenticateToken, rateLimit('escritura'), setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirmar la activación de la verificación en dos pasos
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Verificación activada; devuelve los códigos de recuperación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CodigosRecuperacion'
+ *       400:
+ *         description: Código inválido o activación no iniciada
+ *       401:
+ *         description: Token inválido o expirado
+ */
+router.post('/2fa/confirm', authenticateToken, rateLimit('escritura'), confirmTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar la verificación en dos pasos
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código de 6 dígitos o código de recuperación
+ *     responses:
+ *       200:
+ *         description: Verificación desactivada
+ *       400:
+ *         description: Datos faltantes o la verificación no está activada
+ *       401:
+ *         description: Contraseña o código inválidos
+ */
+router.post('/2fa/disable', authenticateToken, rateLimit('escritura'), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generar nuevos códigos de recuperación
+ *     description: Invalida los códigos de recuperación anteriores.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Códigos generados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CodigosRecuperacion'
+ *       400:
+ *         description: La verificación no está activada
+ *       401:
+ *         description: Código inválido
+ */
+router.post('/2fa/recovery-codes', authenticateToken, rateLimit('escritura'), regenerateRecoveryCodes);
+
 module.exports = router;
 
@@ -0,0 +1,81 @@
+const express = require('express');
+const { getRates, updateRate } = require('../controllers/exchangeRateController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tasas-cambio:
+ *   get:
+ *     summary: Obtener las tasas de cambio vigentes
+ *     description: Cada tasa indica el valor de una unidad de la moneda expresado en la moneda base (MXN)
+ *     tags: [Tasas de cambio]
+ *     responses:
+ *       200:
+ *         description: Tasas de cambio obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     base:
+ *                       type: string
+ *                       example: "MXN"
+ *                     tasas:
+ *                       type: object
+ *                       example: { "MXN": 1, "USD": 17.5, "EUR": 19 }
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', getRates);
+
+/**
+ * @swagger
+ * /api/tasas-cambio/{moneda}:
+ *   put:
+ *     summary: Actualizar la tasa de cambio de una moneda
+ *     description: Recalcula el precio normalizado de los servicios publicados en esa moneda
+ *     tags: [Tasas de cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moneda
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *         description: Moneda a actualizar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tasa
+ *             properties:
+ *               tasa:
+ *                 type: number
+ *                 example: 17.8
+ *     responses:
+ *       200:
+ *         description: Tasa de cambio actualizada exitosamente
+ *       400:
+ *         description: Moneda o tasa inválida
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Requiere rol admin
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:moneda', authenticateToken, authorize('admin'), updateRate);
+
+module.exports = router;
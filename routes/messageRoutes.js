@@ -0,0 +1,176 @@
+const express = require('express');
+const {
+  getMessages,
+  sendMessage
+} = require('../controllers/messageController');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// mergeParams para acceder al :id del servicio definido en serviceRoutes
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Message:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         servicio:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109cb"
+ *         remitente:
+ *           $ref: '#/components/schemas/User'
+ *         destinatario:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109ca"
+ *         contenido:
+ *           type: string
+ *           example: "¿Puedes venir el sábado por la mañana?"
+ *         leido:
+ *           type: boolean
+ *           example: false
+ *         fechaLectura:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     SendMessageRequest:
+ *       type: object
+ *       required:
+ *         - contenido
+ *       properties:
+ *         contenido:
+ *           type: string
+ *           example: "¿Puedes venir el sábado por la mañana?"
+ *         destinatario:
+ *           type: string
+ *           description: ID del oferente (solo lo indica el creador; por defecto el oferente asignado)
+ */
+
+/**
+ * @swagger
+ * /api/services/{id}/mensajes:
+ *   get:
+ *     summary: Obtener la conversación de un servicio
+ *     description: Devuelve el hilo entre el creador y un oferente postulado o asignado, y marca como leídos los mensajes recibidos
+ *     tags: [Mensajes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: query
+ *         name: con
+ *         schema:
+ *           type: string
+ *         description: ID del oferente (solo para el creador; por defecto el oferente asignado)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Mensajes por página, hasta 100
+ *     responses:
+ *       200:
+ *         description: Mensajes obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     contraparte:
+ *                       type: string
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Falta indicar el oferente o parámetros de paginación inválidos
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin acceso a la conversación
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', authenticateToken, rateLimit('lectura'), getMessages);
+
+/**
+ * @swagger
+ * /api/services/{id}/mensajes:
+ *   post:
+ *     summary: Enviar mensaje en la conversación de un servicio
+ *     tags: [Mensajes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SendMessageRequest'
+ *     responses:
+ *       201:
+ *         description: Mensaje enviado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Contenido vacío o que no es texto, o falta indicar el oferente
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin acceso a la conversación
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', authenticateToken, rateLimit('escritura'), sendMessage);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const {
+  createReview,
+  getServiceReviews
+} = require('../controllers/reviewController');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// mergeParams para acceder al :id del servicio definido en serviceRoutes
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         servicio:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109cb"
+ *         autor:
+ *           $ref: '#/components/schemas/User'
+ *         destinatario:
+ *           $ref: '#/components/schemas/User'
+ *         calificacion:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 5
+ *         comentario:
+ *           type: string
+ *           example: "Muy puntual y dejó todo limpio"
+ *     CreateReviewRequest:
+ *       type: object
+ *       required:
+ *         - calificacion
+ *       properties:
+ *         calificacion:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 5
+ *         comentario:
+ *           type: string
+ *           example: "Muy puntual y dejó todo limpio"
+ */
+
+/**
+ * @swagger
+ * /api/services/{id}/resenas:
+ *   post:
+ *     summary: Calificar a la contraparte de un servicio completado
+ *     description: El creador califica al oferente asignado y viceversa. Solo se permite una reseña por participante y servicio.
+ *     tags: [Reseñas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateReviewRequest'
+ *     responses:
+ *       201:
+ *         description: Reseña creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *                     calificacionDestinatario:
+ *                       type: object
+ *                       properties:
+ *                         calificacionPromedio:
+ *                           type: number
+ *                         totalResenas:
+ *                           type: integer
+ *       400:
+ *         description: Datos inválidos, servicio no completado o reseña duplicada
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Solo los participantes del servicio pueden calificarlo
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', authenticateToken, rateLimit('escritura'), createReview);
+
+/**
+ * @swagger
+ * /api/services/{id}/resenas:
+ *   get:
+ *     summary: Listar reseñas de un servicio
+ *     tags: [Reseñas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Reseñas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     total:
+ *                       type: integer
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', rateLimit('lectura'), getServiceReviews);
+
+module.exports = router;
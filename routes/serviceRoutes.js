@@ -2,11 +2,23 @@ const express = require('express');
 const {
   createService,
   getServices,
+  getServiceClusters,
+  getServicesInMyArea,
+  getServiceProviders,
+  getServiceCandidates,
   getServiceById,
   updateService,
-  updateServiceStatus
+  updateServiceStatus,
+  deleteService,
+  restoreService
 } = require('../controllers/serviceController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createServiceSchema, updateServiceSchema } = require('../validators/serviceValidators');
+const applicationRoutes = require('./applicationRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const messageRoutes = require('./messageRoutes');
 
 const router = express.Router();
 
@@ -31,10 +43,23 @@ const router = express.Router();
  *           example: "reparaciones"
  *         estado:
  *           type: string
- *           enum: [pendiente, en progreso, completado]
+ *           enum: [pendiente, en progreso, completado, cancelado]
  *           example: "pendiente"
  *         creadoPor:
  *           $ref: '#/components/schemas/User'
+ *         asignadoA:
+ *           $ref: '#/components/schemas/User'
+ *         oculto:
+ *           type: boolean
+ *           example: false
+ *         motivoCierre:
+ *           type: string
+ *         eliminado:
+ *           type: boolean
+ *           example: false
+ *         fechaEliminacion:
+ *           type: string
+ *           format: date-time
  *         ubicacion:
  *           type: object
  *           properties:
@@ -138,12 +163,25 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/Service'
  *       400:
  *         description: Datos faltantes o inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
  *       401:
  *         description: Token de autenticación requerido
+ *       403:
+ *         description: Email no verificado (si REQUIRE_EMAIL_VERIFICATION=true)
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/', authenticateToken, createService);
+router.post(
+  '/',
+  authenticateToken,
+  rateLimit('escritura'),
+  requireVerifiedEmail,
+  validateBody(createServiceSchema, { code: 'SERVICE_DATA_INVALID' }),
+  createService
+);
 
 /**
  * @swagger
@@ -163,7 +201,13 @@ router.post('/', authenticateToken, createService);
  *         schema:
  *           type: integer
  *           default: 10
- *         description: Servicios por página
+ *         description: Servicios por página, hasta 100 (con bbox o poligono, por defecto y como máximo GEO_MAX_RESULTS)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           example: "fuga de agua"
+ *         description: Búsqueda de texto completo en título y descripción (no combinable con ubicacion)
  *       - in: query
  *         name: categoria
  *         schema:
@@ -174,33 +218,89 @@ router.post('/', authenticateToken, createService);
  *         name: estado
  *         schema:
  *           type: string
- *           enum: [pendiente, en progreso, completado]
+ *           enum: [pendiente, en progreso, completado, cancelado]
  *         description: Filtrar por estado
  *       - in: query
+ *         name: precioMin
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Precio mínimo
+ *       - in: query
+ *         name: precioMax
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Precio máximo
+ *       - in: query
+ *         name: moneda
+ *         schema:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *         description: Filtrar por moneda. Sin este filtro, precioMin/precioMax y el orden por precio usan el precio normalizado
+ *       - in: query
+ *         name: monedaPreferida
+ *         schema:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *         description: Moneda en la que se expresan precioMin/precioMax y se devuelve precioConvertido (por defecto la del usuario autenticado)
+ *       - in: query
+ *         name: duracionMax
+ *         schema:
+ *           type: number
+ *         description: Duración estimada máxima (se compara normalizando horas, días y semanas)
+ *       - in: query
+ *         name: unidadDuracionMax
+ *         schema:
+ *           type: string
+ *           enum: [horas, dias, semanas]
+ *           default: horas
+ *         description: Unidad en la que se expresa duracionMax
+ *       - in: query
  *         name: ubicacion
  *         schema:
  *           type: string
  *           example: "-99.1332,19.4326"
- *         description: Ubicación para búsqueda geográfica (longitud,latitud)
+ *         description: Ubicación para búsqueda geográfica (longitud,latitud). Cada servicio incluye distanciaKm
  *       - in: query
  *         name: radio
  *         schema:
- *           type: integer
+ *           type: number
  *           default: 10
- *         description: Radio de búsqueda en kilómetros
+ *           exclusiveMinimum: 0
+ *           maximum: 100
+ *         description: Radio de búsqueda en kilómetros (mínimo LOCATION_PRIVACY_METERS, máximo configurable con GEO_MAX_RADIUS_KM)
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: "-99.2,19.3,-99.0,19.5"
+ *         description: Zona visible del mapa (minLongitud,minLatitud,maxLongitud,maxLatitud). Si minLongitud > maxLongitud cruza el antimeridiano. Mide al menos LOCATION_PRIVACY_METERS de alto y de ancho. No combinable con ubicacion ni poligono
+ *       - in: query
+ *         name: poligono
+ *         schema:
+ *           type: string
+ *           example: '{"type":"Polygon","coordinates":[[[-99.2,19.3],[-99.0,19.3],[-99.0,19.5],[-99.2,19.5],[-99.2,19.3]]]}'
+ *         description: Zona como GeoJSON Polygon (JSON) con anillos cerrados, como máximo 500 vértices y al menos LOCATION_PRIVACY_METERS de alto y de ancho. No combinable con ubicacion ni bbox
  *       - in: query
  *         name: ordenarPor
  *         schema:
  *           type: string
+ *           enum: [fechaPublicacion, precio, titulo, createdAt, relevancia, distancia]
  *           default: fechaPublicacion
- *         description: Campo para ordenar
+ *         description: Campo para ordenar. Con "q" el orden por defecto es "relevancia" y con "ubicacion" es "distancia" (que requiere ubicacion). "precio" ordena por el precio normalizado salvo que se filtre por moneda
  *       - in: query
  *         name: orden
  *         schema:
  *           type: string
  *           enum: [asc, desc]
- *           default: desc
- *         description: Orden de clasificación
+ *         description: Orden de clasificación (por defecto asc para distancia y desc para el resto)
+ *       - in: query
+ *         name: incluirEliminados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir servicios eliminados (solo administradores)
  *     responses:
  *       200:
  *         description: Lista de servicios obtenida exitosamente
@@ -235,10 +335,196 @@ router.post('/', authenticateToken, createService);
  *                       type: object
  *       400:
  *         description: Parámetros de consulta inválidos
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/', getServices);
+router.get('/', optionalAuth, rateLimit('lectura'), getServices);
+
+/**
+ * @swagger
+ * /api/services/clusters:
+ *   get:
+ *     summary: Agrupar servicios en el mapa
+ *     description: Agrupa los servicios de la zona visible en una rejilla que depende del zoom. Acepta los mismos filtros que GET /api/services (q, categoria, estado, precioMin, precioMax, moneda, monedaPreferida, duracionMax, unidadDuracionMax, incluirEliminados). Las celdas nunca son menores que la ubicación aproximada (LOCATION_PRIVACY_METERS) y los grupos de un solo servicio usan su ubicación aproximada
+ *     tags: [Servicios]
+ *     parameters:
+ *       - in: query
+ *         name: bbox
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "-99.2,19.3,-99.0,19.5"
+ *         description: Zona visible del mapa (minLongitud,minLatitud,maxLongitud,maxLatitud). Puede sustituirse por poligono
+ *       - in: query
+ *         name: poligono
+ *         schema:
+ *           type: string
+ *         description: Zona como GeoJSON Polygon (JSON), en lugar de bbox
+ *       - in: query
+ *         name: zoom
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *           example: 12
+ *         description: Nivel de zoom del mapa
+ *       - in: query
+ *         name: categoria
+ *         schema:
+ *           type: string
+ *         description: Filtrar por categoría
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, en progreso, completado, cancelado]
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Grupos de servicios obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                   example: SERVICE_CLUSTERS_RETRIEVED
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     clusters:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           celda:
+ *                             type: string
+ *                             example: "3120:1734"
+ *                           ubicacion:
+ *                             type: object
+ *                             description: Centro de la celda del grupo (ubicación aproximada del servicio si es uno solo)
+ *                           total:
+ *                             type: integer
+ *                             example: 12
+ *                           categorias:
+ *                             type: object
+ *                             additionalProperties:
+ *                               type: integer
+ *                             example: { hogar: 7, reparaciones: 5 }
+ *                           servicio:
+ *                             type: string
+ *                             description: ID del servicio cuando el grupo tiene uno solo
+ *                     totalServices:
+ *                       type: integer
+ *                     truncated:
+ *                       type: boolean
+ *                       description: true si había más grupos que GEO_MAX_RESULTS (se devuelven los más numerosos)
+ *                     zoom:
+ *                       type: integer
+ *                     tamanoCelda:
+ *                       type: number
+ *                       description: Tamaño de las celdas en grados
+ *                     filters:
+ *                       type: object
+ *       400:
+ *         description: Falta bbox o zoom, o algún filtro es inválido
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/clusters', optionalAuth, rateLimit('lectura'), getServiceClusters);
+
+/**
+ * @swagger
+ * /api/services/mi-cobertura:
+ *   get:
+ *     summary: Listar servicios dentro de mi área de servicio
+ *     description: Servicios a los que llega el usuario autenticado según su ubicación y radioServicioKm, con distanciaKm. Acepta los filtros de GET /api/services salvo q, ubicacion, radio, bbox y poligono. Por defecto solo incluye servicios pendientes y nunca los propios
+ *     tags: [Servicios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: categoria
+ *         schema:
+ *           type: string
+ *         description: Filtrar por categoría
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, en progreso, completado, cancelado]
+ *           default: pendiente
+ *         description: Filtrar por estado
+ *       - in: query
+ *         name: ordenarPor
+ *         schema:
+ *           type: string
+ *           enum: [distancia, fechaPublicacion, precio, titulo, createdAt]
+ *           default: distancia
+ *         description: Campo para ordenar
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Orden de clasificación (por defecto asc para distancia y desc para el resto)
+ *     responses:
+ *       200:
+ *         description: Servicios dentro del área de servicio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                   example: SERVICES_IN_AREA_RETRIEVED
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     services:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Service'
+ *                     pagination:
+ *                       type: object
+ *                     areaServicio:
+ *                       type: object
+ *                       properties:
+ *                         ubicacion:
+ *                           type: object
+ *                         radioServicioKm:
+ *                           type: number
+ *       400:
+ *         description: El usuario no tiene ubicación o radioServicioKm (SERVICE_AREA_NOT_CONFIGURED) o los filtros son inválidos
+ *       401:
+ *         description: Token de autenticación requerido
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ */
+router.get('/mi-cobertura', authenticateToken, rateLimit('lectura'), getServicesInMyArea);
 
 /**
  * @swagger
@@ -253,6 +539,18 @@ router.get('/', getServices);
  *         schema:
  *           type: string
  *         description: ID del servicio
+ *       - in: query
+ *         name: incluirEliminados
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Devolver el servicio aunque esté eliminado (solo su creador o administradores)
+ *       - in: query
+ *         name: monedaPreferida
+ *         schema:
+ *           type: string
+ *           enum: [MXN, USD, EUR]
+ *         description: Moneda en la que se devuelve precioConvertido (por defecto la del usuario autenticado)
  *     responses:
  *       200:
  *         description: Servicio obtenido exitosamente
@@ -273,7 +571,7 @@ router.get('/', getServices);
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/:id', getServiceById);
+router.get('/:id', optionalAuth, rateLimit('lectura'), getServiceById);
 
 /**
  * @swagger
@@ -331,6 +629,10 @@ router.get('/:id', getServiceById);
  *                       $ref: '#/components/schemas/Service'
  *       400:
  *         description: Datos inválidos o servicio no editable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
  *       401:
  *         description: Token de autenticación requerido
  *       403:
@@ -340,7 +642,13 @@ router.get('/:id', getServiceById);
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/:id', authenticateToken, updateService);
+router.put(
+  '/:id',
+  authenticateToken,
+  rateLimit('escritura'),
+  validateBody(updateServiceSchema, { partial: true, code: 'SERVICE_DATA_INVALID' }),
+  updateService
+);
 
 /**
  * @swagger
@@ -396,7 +704,275 @@ router.put('/:id', authenticateToken, updateService);
  *       500:
  *         description: Error interno del servidor
  */
-router.patch('/:id/estado', authenticateToken, updateServiceStatus);
+router.patch('/:id/estado', authenticateToken, rateLimit('escritura'), updateServiceStatus);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   delete:
+ *     summary: Eliminar servicio
+ *     description: Eliminación lógica. El servicio deja de aparecer en los listados y su creador puede restaurarlo durante el periodo de gracia (SERVICE_RESTORE_DAYS, 7 días por defecto).
+ *     tags: [Servicios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio eliminado exitosamente
+ *       400:
+ *         description: El servicio está en progreso
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin permisos para eliminar este servicio
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/:id', authenticateToken, rateLimit('escritura'), deleteService);
+
+/**
+ * @swagger
+ * /api/services/{id}/restaurar:
+ *   patch:
+ *     summary: Restaurar servicio eliminado
+ *     tags: [Servicios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio restaurado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     service:
+ *                       $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: El servicio no está eliminado o el periodo de gracia expiró
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Sin permisos para restaurar este servicio
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/:id/restaurar', authenticateToken, rateLimit('escritura'), restoreService);
+
+/**
+ * @swagger
+ * /api/services/{id}/oferentes:
+ *   get:
+ *     summary: Listar oferentes que cubren el servicio
+ *     description: Oferentes activos cuya área de servicio (ubicacion + radioServicioKm) incluye la ubicación del servicio, con distanciaKm
+ *     tags: [Servicios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Calificación promedio mínima
+ *       - in: query
+ *         name: ordenarPor
+ *         schema:
+ *           type: string
+ *           enum: [distancia, calificacion]
+ *           default: distancia
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Orden de clasificación (por defecto asc para distancia y desc para calificacion)
+ *     responses:
+ *       200:
+ *         description: Oferentes que cubren el servicio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                   example: SERVICE_PROVIDERS_RETRIEVED
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     oferentes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: El servicio no tiene ubicación o los parámetros son inválidos
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Solo el creador del servicio o un administrador
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ */
+router.get('/:id/oferentes', authenticateToken, rateLimit('lectura'), getServiceProviders);
+
+/**
+ * @swagger
+ * /api/services/{id}/candidatos:
+ *   get:
+ *     summary: Listar candidatos para un servicio
+ *     description: Ordena a los oferentes con alguna skill relacionada con el servicio (categoría, título y descripción) por una puntuación de 0 a 100 que combina skills, distancia y calificación, con los pesos de config/matching.json. Los criterios sin dato (servicio sin ubicación, oferente sin reseñas) no cuentan
+ *     tags: [Servicios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *       - in: query
+ *         name: radio
+ *         schema:
+ *           type: number
+ *           default: 25
+ *         description: Radio en km alrededor del servicio en el que se buscan candidatos
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Candidatos ordenados por puntuación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                   example: SERVICE_CANDIDATES_RETRIEVED
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     candidatos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           oferente:
+ *                             $ref: '#/components/schemas/User'
+ *                           puntuacion:
+ *                             type: object
+ *                             properties:
+ *                               total:
+ *                                 type: integer
+ *                                 example: 82
+ *                               skills:
+ *                                 type: object
+ *                                 example: { puntuacion: 1, coincidencias: ["plomería", "electricidad"] }
+ *                               distancia:
+ *                                 type: object
+ *                                 nullable: true
+ *                                 example: { puntuacion: 0.76, km: 6.02 }
+ *                               calificacion:
+ *                                 type: object
+ *                                 nullable: true
+ *                                 example: { puntuacion: 0.94, promedio: 4.7, resenas: 12 }
+ *                     pagination:
+ *                       type: object
+ *                     criterios:
+ *                       type: object
+ *                       properties:
+ *                         terminos:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         radioKm:
+ *                           type: number
+ *                         pesos:
+ *                           type: object
+ *       400:
+ *         description: Radio fuera de rango
+ *       401:
+ *         description: Token de autenticación requerido
+ *       403:
+ *         description: Solo el creador del servicio o un administrador
+ *       404:
+ *         description: Servicio no encontrado
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
+ */
+router.get('/:id/candidatos', authenticateToken, rateLimit('lectura'), getServiceCandidates);
+
+// Postulaciones de oferentes a un servicio
+router.use('/:id/postulaciones', applicationRoutes);
+
+// Reseñas entre participantes de un servicio completado
+router.use('/:id/resenas', reviewRoutes);
+
+// Conversación entre el creador y los oferentes interesados
+router.use('/:id/mensajes', messageRoutes);
 
 module.exports = router;
 
@@ -0,0 +1,78 @@
+const express = require('express');
+const { getSkills } = require('../controllers/skillController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/skills:
+ *   get:
+ *     summary: Listar el catálogo de skills o autocompletar
+ *     description: |
+ *       Sin `q` devuelve el catálogo completo. Con `q` devuelve primero las skills cuyo nombre
+ *       o algún sinónimo empieza por el texto y después las que lo contienen, sin importar
+ *       acentos ni mayúsculas. `coincidencia` indica el sinónimo que coincidió.
+ *     tags: [Skills]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a autocompletar
+ *         example: fonta
+ *       - in: query
+ *         name: categoria
+ *         schema:
+ *           type: string
+ *           enum: [hogar, jardineria, limpieza, reparaciones, transporte, tecnologia, educacion, salud, deportes, eventos, otro]
+ *         description: Solo skills relacionadas con esta categoría de servicio
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Máximo de skills a devolver (10 por defecto con `q`)
+ *     responses:
+ *       200:
+ *         description: Skills obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     skills:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           clave:
+ *                             type: string
+ *                             example: "plomeria"
+ *                           nombre:
+ *                             type: string
+ *                             example: "Plomería"
+ *                           categorias:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["hogar", "reparaciones"]
+ *                           coincidencia:
+ *                             type: string
+ *                             example: "fontanero"
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       429:
+ *         description: Demasiadas solicitudes
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', rateLimit('lectura'), getSkills);
+
+module.exports = router;
@@ -5,9 +5,15 @@ const {
   updateUser,
   updateMyProfile,
   getUserById,
-  changePassword
+  changePassword,
+  updatePrivacy
 } = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/auth');
+const { getUserReviews } = require('../controllers/reviewController');
+const { getConversations } = require('../controllers/messageController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createUserSchema, updateUserSchema, privacySchema } = require('../validators/userValidators');
 
 const router = express.Router();
 
@@ -27,13 +33,20 @@ const router = express.Router();
  *           type: string
  *           format: email
  *           example: "juan@ejemplo.com"
+ *           description: Se omite si la privacidad del usuario no permite mostrarlo a quien consulta
+ *         emailVerificado:
+ *           type: boolean
+ *           example: true
  *         telefono:
  *           type: string
  *           example: "+52 55 1234 5678"
+ *           description: Se omite si la privacidad del usuario no permite mostrarlo a quien consulta
  *         rol:
  *           type: string
- *           enum: [oferente, solicitante]
+ *           enum: [oferente, solicitante, admin]
  *           example: "oferente"
+ *         privacidad:
+ *           $ref: '#/components/schemas/Privacidad'
  *         skills:
  *           type: array
  *           items:
@@ -50,9 +63,33 @@ const router = express.Router();
  *               items:
  *                 type: number
  *               example: [-99.1332, 19.4326]
+ *         radioServicioKm:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           example: 15
+ *           description: Área de servicio del oferente, en km desde su ubicación
+ *         calificacionPromedio:
+ *           type: number
+ *           example: 4.7
+ *         totalResenas:
+ *           type: integer
+ *           example: 12
  *         fechaRegistro:
  *           type: string
  *           format: date-time
+ *     Privacidad:
+ *       type: object
+ *       description: Quién puede ver cada dato de contacto. Solo se incluye para el propio usuario.
+ *       properties:
+ *         email:
+ *           type: string
+ *           enum: [todos, registrados, contrapartes]
+ *           example: "registrados"
+ *         telefono:
+ *           type: string
+ *           enum: [todos, registrados, contrapartes]
+ *           example: "contrapartes"
  *     CreateUserRequest:
  *       type: object
  *       required:
@@ -93,6 +130,12 @@ const router = express.Router();
  *               items:
  *                 type: number
  *               example: [-99.1332, 19.4326]
+ *         radioServicioKm:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           example: 15
+ *           description: Área de servicio del oferente, en km desde su ubicación
  */
 
 /**
@@ -126,10 +169,21 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *       400:
  *         description: Datos faltantes o inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
+ *       429:
+ *         $ref: '#/components/responses/LimiteExcedido'
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/', createUser);
+router.post(
+  '/',
+  rateLimit('registro'),
+  validateBody(createUserSchema, { code: 'USER_DATA_INVALID' }),
+  createUser
+);
 
 /**
  * @swagger
@@ -149,7 +203,7 @@ router.post('/', createUser);
  *         schema:
  *           type: integer
  *           default: 10
- *         description: Usuarios por página
+ *         description: Usuarios por página, hasta 100 (con bbox o poligono, por defecto y como máximo GEO_MAX_RESULTS)
  *       - in: query
  *         name: rol
  *         schema:
@@ -161,13 +215,53 @@ router.post('/', createUser);
  *         schema:
  *           type: string
  *           example: "-99.1332,19.4326"
- *         description: Ubicación para búsqueda geográfica (longitud,latitud)
+ *         description: Ubicación para búsqueda geográfica (longitud,latitud). Cada usuario incluye distanciaKm
  *       - in: query
  *         name: radio
  *         schema:
- *           type: integer
+ *           type: number
  *           default: 10
- *         description: Radio de búsqueda en kilómetros
+ *           exclusiveMinimum: 0
+ *           maximum: 100
+ *         description: Radio de búsqueda en kilómetros (mínimo LOCATION_PRIVACY_METERS, máximo configurable con GEO_MAX_RADIUS_KM)
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: "-99.2,19.3,-99.0,19.5"
+ *         description: Zona visible del mapa (minLongitud,minLatitud,maxLongitud,maxLatitud). Si minLongitud > maxLongitud cruza el antimeridiano. Mide al menos LOCATION_PRIVACY_METERS de alto y de ancho. No combinable con ubicacion ni poligono
+ *       - in: query
+ *         name: poligono
+ *         schema:
+ *           type: string
+ *           example: '{"type":"Polygon","coordinates":[[[-99.2,19.3],[-99.0,19.3],[-99.0,19.5],[-99.2,19.5],[-99.2,19.3]]]}'
+ *         description: Zona como GeoJSON Polygon (JSON) con anillos cerrados, como máximo 500 vértices y al menos LOCATION_PRIVACY_METERS de alto y de ancho. No combinable con ubicacion ni bbox
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Calificación promedio mínima
+ *       - in: query
+ *         name: skill
+ *         schema:
+ *           type: string
+ *         description: Solo usuarios con esta skill. Si está en el catálogo (GET /api/skills) también se buscan sus sinónimos
+ *         example: plomero
+ *       - in: query
+ *         name: ordenarPor
+ *         schema:
+ *           type: string
+ *           enum: [fechaRegistro, calificacion, distancia]
+ *           default: fechaRegistro
+ *         description: Campo para ordenar. Con "ubicacion" el orden por defecto es "distancia" (que requiere ubicacion)
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Orden de clasificación (por defecto asc para distancia y desc para el resto)
  *     responses:
  *       200:
  *         description: Lista de usuarios obtenida exitosamente
@@ -203,13 +297,14 @@ router.post('/', createUser);
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/', getUsers);
+router.get('/', optionalAuth, rateLimit('lectura'), getUsers);
 
 /**
  * @swagger
  * /api/users/profile:
  *   put:
  *     summary: Actualizar mi perfil (usuario autenticado)
+ *     description: Cambiar el email marca la cuenta como no verificada y envía un enlace de verificación al nuevo email
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []
@@ -224,6 +319,15 @@ router.get('/', getUsers);
  *                 type: string
  *               telefono:
  *                 type: string
+ *               monedaPreferida:
+ *                 type: string
+ *                 enum: [MXN, USD, EUR]
+ *               radioServicioKm:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Área de servicio en km (null para quitarla)
  *               skills:
  *                 type: array
  *                 items:
@@ -254,12 +358,66 @@ router.get('/', getUsers);
  *                       $ref: '#/components/schemas/User'
  *       400:
  *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
+ *       401:
+ *         description: Token de autenticación requerido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put(
+  '/profile',
+  authenticateToken,
+  rateLimit('escritura'),
+  validateBody(updateUserSchema, { partial: true, code: 'USER_DATA_INVALID' }),
+  updateMyProfile
+);
+
+/**
+ * @swagger
+ * /api/users/me/conversaciones:
+ *   get:
+ *     summary: Listar mis conversaciones
+ *     description: Bandeja de entrada con el último mensaje y el número de mensajes no leídos por conversación
+ *     tags: [Mensajes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversaciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           servicio:
+ *                             $ref: '#/components/schemas/Service'
+ *                           contraparte:
+ *                             $ref: '#/components/schemas/User'
+ *                           ultimoMensaje:
+ *                             $ref: '#/components/schemas/Message'
+ *                           noLeidos:
+ *                             type: integer
+ *                     totalNoLeidos:
+ *                       type: integer
  *       401:
  *         description: Token de autenticación requerido
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/profile', authenticateToken, updateMyProfile);
+router.get('/me/conversaciones', authenticateToken, rateLimit('lectura'), getConversations);
 
 /**
  * @swagger
@@ -294,13 +452,71 @@ router.put('/profile', authenticateToken, updateMyProfile);
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/:id', getUserById);
+router.get('/:id', optionalAuth, rateLimit('lectura'), getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}/resenas:
+ *   get:
+ *     summary: Listar reseñas recibidas por un usuario
+ *     tags: [Reseñas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Reseñas por página, hasta 100
+ *     responses:
+ *       200:
+ *         description: Reseñas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     calificacionPromedio:
+ *                       type: number
+ *                     totalResenas:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Parámetros de paginación inválidos
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/resenas', rateLimit('lectura'), getUserReviews);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Actualizar información del usuario
+ *     description: Cambiar el email marca la cuenta como no verificada y envía un enlace de verificación al nuevo email
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []
@@ -322,6 +538,15 @@ router.get('/:id', getUserById);
  *                 type: string
  *               telefono:
  *                 type: string
+ *               monedaPreferida:
+ *                 type: string
+ *                 enum: [MXN, USD, EUR]
+ *               radioServicioKm:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Área de servicio en km (null para quitarla)
  *               skills:
  *                 type: array
  *                 items:
@@ -350,12 +575,22 @@ router.get('/:id', getUserById);
  *                       $ref: '#/components/schemas/User'
  *       400:
  *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
  *       404:
  *         description: Usuario no encontrado
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/me', authenticateToken, updateUser);
+router.put(
+  '/me',
+  authenticateToken,
+  rateLimit('escritura'),
+  validateBody(updateUserSchema, { partial: true, code: 'USER_DATA_INVALID' }),
+  updateUser
+);
 
 /**
  * @swagger
@@ -408,7 +643,70 @@ router.put('/me', authenticateToken, updateUser);
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/me/password', authenticateToken, changePassword);
+router.put('/me/password', authenticateToken, rateLimit('escritura'), changePassword);
+
+/**
+ * @swagger
+ * /api/users/me/privacidad:
+ *   put:
+ *     summary: Configurar la privacidad de mis datos de contacto
+ *     description: |
+ *       Indica quién puede ver el email y el teléfono del usuario en los listados,
+ *       en su perfil y en los servicios que publica:
+ *       - `todos`: cualquier visitante
+ *       - `registrados`: usuarios con sesión iniciada (por defecto)
+ *       - `contrapartes`: solo quienes comparten un servicio asignado con el usuario (creador u oferente asignado)
+ *
+ *       El propio usuario y los administradores siempre ven los datos.
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 enum: [todos, registrados, contrapartes]
+ *               telefono:
+ *                 type: string
+ *                 enum: [todos, registrados, contrapartes]
+ *     responses:
+ *       200:
+ *         description: Privacidad actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     privacidad:
+ *                       $ref: '#/components/schemas/Privacidad'
+ *       400:
+ *         description: Nivel de privacidad inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErroresValidacion'
+ *       401:
+ *         description: Token de autenticación requerido
+ */
+router.put(
+  '/me/privacidad',
+  authenticateToken,
+  rateLimit('escritura'),
+  validateBody(privacySchema, { partial: true, code: 'USER_DATA_INVALID' }),
+  updatePrivacy
+);
 
 module.exports = router;
 
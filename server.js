@@ -4,6 +4,10 @@ const dotenv = require('dotenv');
 const swaggerUi = require('swagger-ui-express');
 const connectDB = require('./config/db');
 const swaggerSpecs = require('./config/swagger');
+const { AppError } = require('./utils/errors');
+const { esCodigo } = require('./utils/i18n');
+const { detectLanguage } = require('./middleware/i18n');
+const { errorDeConfiguracion } = require('./utils/mailer');
 
 // Cargar variables de entorno
 dotenv.config();
@@ -13,14 +17,24 @@ connectDB();
 
 const app = express();
 
+// Proxies de confianza (p. ej. TRUST_PROXY=1 en Render) para que req.ip sea la IP real del cliente.
+// En producción se asume un proxy por defecto; TRUST_PROXY=false lo desactiva.
+const proxies = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+if (proxies && proxies !== 'false') {
+  app.set('trust proxy', proxies === 'true' ? true : parseInt(proxies) || proxies);
+}
+
 // Middleware
+// Idioma de las respuestas según Accept-Language (antes que cualquier otro middleware que pueda responder)
+app.use(detectLanguage);
+
 app.use(cors({
   origin: [
     'https://localaid-r585.onrender.com',
     'http://localhost:3001',
     'https://localaid2.netlify.app'
   ],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   credentials: true
 }));
 
@@ -65,6 +79,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 code:
+ *                   type: string
+ *                   example: "API_HEALTHY"
  *                 message:
  *                   type: string
  *                   example: "LOCALAID API está funcionando correctamente"
@@ -81,7 +98,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.get('/api/health', (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'LOCALAID API está funcionando correctamente',
+    code: 'API_HEALTHY',
+    message: req.t('API_HEALTHY'),
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0'
@@ -104,13 +122,16 @@ app.use((req, res, next) => {
 app.get('/', (req, res) => {
   res.json({
     success: true,
-    message: '¡Bienvenido a LOCALAID API!',
+    code: 'API_WELCOME',
+    message: req.t('API_WELCOME'),
     version: '1.0.0',
     documentation: '/api-docs',
     endpoints: {
       users: '/api/users',
       auth: '/api/auth',
-      services: '/api/services'
+      services: '/api/services',
+      admin: '/api/admin',
+      tasasCambio: '/api/tasas-cambio'
     },
     timestamp: new Date().toISOString()
   });
@@ -120,38 +141,179 @@ app.get('/', (req, res) => {
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/services', require('./routes/serviceRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/tasas-cambio', require('./routes/exchangeRateRoutes'));
+app.use('/api/skills', require('./routes/skillRoutes'));
 
 // Middleware para manejar rutas no encontradas
 app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
-    message: `Ruta ${req.originalUrl} no encontrada`,
+    code: 'ROUTE_NOT_FOUND',
+    message: req.t('ROUTE_NOT_FOUND', { ruta: req.originalUrl }),
     availableRoutes: [
       'GET /',
       'GET /api-docs',
       'POST /api/users',
       'GET /api/users',
       'GET /api/users/:id',
+      'GET /api/users/:id/resenas',
+      'GET /api/users/me/conversaciones',
+      'PUT /api/users/me/privacidad',
       'PUT /api/users/:id',
       'POST /api/auth/login',
       'GET /api/auth/me',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/auth/logout-all',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
+      'GET /api/auth/verify-email',
+      'POST /api/auth/resend-verification',
+      'POST /api/auth/2fa/verify',
+      'POST /api/auth/2fa/setup',
+      'POST /api/auth/2fa/confirm',
+      'POST /api/auth/2fa/disable',
+      'POST /api/auth/2fa/recovery-codes',
       'POST /api/services',
       'GET /api/services',
+      'GET /api/services/clusters',
+      'GET /api/services/mi-cobertura',
       'GET /api/services/:id',
       'PUT /api/services/:id',
-      'PATCH /api/services/:id/estado'
+      'PATCH /api/services/:id/estado',
+      'DELETE /api/services/:id',
+      'PATCH /api/services/:id/restaurar',
+      'GET /api/services/:id/oferentes',
+      'GET /api/services/:id/candidatos',
+      'POST /api/services/:id/postulaciones',
+      'GET /api/services/:id/postulaciones',
+      'PATCH /api/services/:id/postulaciones/:postulacionId/aceptar',
+      'PATCH /api/services/:id/postulaciones/:postulacionId/rechazar',
+      'POST /api/services/:id/resenas',
+      'GET /api/services/:id/resenas',
+      'GET /api/services/:id/mensajes',
+      'POST /api/services/:id/mensajes',
+      'GET /api/admin/users',
+      'PATCH /api/admin/users/:id/suspender',
+      'PATCH /api/admin/users/:id/reactivar',
+      'PATCH /api/admin/services/:id/cerrar',
+      'PATCH /api/admin/services/:id/ocultar',
+      'PATCH /api/admin/services/:id/mostrar',
+      'DELETE /api/admin/services/:id',
+      'GET /api/admin/estadisticas',
+      'GET /api/tasas-cambio',
+      'PUT /api/tasas-cambio/:moneda',
+      'GET /api/skills'
     ]
   });
 });
 
+// Códigos genéricos para los errores de validación de Mongoose que no traen
+// un código propio del catálogo (según el tipo de regla incumplida)
+const CODIGOS_VALIDACION_MONGOOSE = {
+  required: 'FIELD_REQUIRED',
+  enum: 'FIELD_INVALID_OPTION',
+  min: 'FIELD_MIN',
+  max: 'FIELD_MAX',
+  minlength: 'FIELD_MIN_LENGTH',
+  maxlength: 'FIELD_MAX_LENGTH',
+  regexp: 'FIELD_INVALID_FORMAT'
+};
+
+// Función para convertir un error de validación de Mongoose en { field, code, params }.
+// Los modelos declaran sus mensajes como códigos de locales/.
+const errorDeValidacion = (err) => {
+  const propiedades = err.properties || {};
+  const params = { field: err.path };
+
+  ['min', 'max', 'minlength', 'maxlength'].forEach(regla => {
+    if (propiedades[regla] !== undefined) params[regla] = propiedades[regla];
+  });
+  if (Array.isArray(propiedades.enumValues)) {
+    params.values = propiedades.enumValues.join(', ');
+  }
+
+  const code = esCodigo(err.message)
+    ? err.message
+    : CODIGOS_VALIDACION_MONGOOSE[err.kind] || 'INVALID_VALUE';
+
+  return { field: err.path, code, params };
+};
+
+// Función para traducir cualquier error a un AppError con código estable
+const normalizarError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // ID con formato inválido u otro valor que Mongoose no puede convertir
+  if (error.name === 'CastError') {
+    const code = error.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE';
+    return new AppError(code, 400, {}, [{ field: error.path, code }]);
+  }
+
+  // Errores de validación de los modelos
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(errorDeValidacion);
+    return new AppError('VALIDATION_ERROR', 400, {}, errors);
+  }
+
+  // Índice único violado
+  if (error.code === 11000) {
+    const errors = Object.keys(error.keyValue || {}).map(field => ({
+      field,
+      code: 'FIELD_DUPLICATE'
+    }));
+    return new AppError('DUPLICATE_KEY', 409, {}, errors);
+  }
+
+  // Geometría que MongoDB no acepta en una búsqueda por zona (bbox o polígono)
+  if (error.name === 'MongoServerError' && error.code === 2 && /loop|polygon|geometry/i.test(error.message)) {
+    return new AppError('INVALID_POLYGON', 400, {}, [{ field: 'poligono', code: 'INVALID_POLYGON' }]);
+  }
+
+  if (error.name === 'JsonWebTokenError') {
+    return new AppError('INVALID_TOKEN', 401);
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    return new AppError('TOKEN_EXPIRED', 401);
+  }
+
+  // Cuerpo JSON mal formado
+  if (error.type === 'entity.parse.failed') {
+    return new AppError('INVALID_JSON', 400);
+  }
+
+  return new AppError('INTERNAL_ERROR', 500);
+};
+
 // Middleware para manejo global de errores
 app.use((error, req, res, next) => {
-  console.error('Error global:', error);
-  
-  res.status(error.status || 500).json({
+  const appError = normalizarError(error);
+
+  if (appError.statusCode >= 500) {
+    console.error('Error global:', error);
+  }
+
+  if (appError.retryAfter) {
+    res.set('Retry-After', String(appError.retryAfter));
+  }
+
+  // Traducir el error y su detalle por campo al idioma de la petición
+  const errors = appError.errors && appError.errors.map(({ field, code, params }) => ({
+    field,
+    code,
+    message: req.t(code, { field, ...params })
+  }));
+
+  res.status(appError.statusCode).json({
     success: false,
-    message: error.message || 'Error interno del servidor',
-    error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    code: appError.code,
+    message: req.t(appError.code, appError.params),
+    errors,
+    error: process.env.NODE_ENV === 'development' && appError.statusCode >= 500 ? error.stack : undefined,
     timestamp: new Date().toISOString()
   });
 });
@@ -180,6 +342,13 @@ process.on('unhandledRejection', (reason, promise) => {
 
 const PORT = process.env.PORT || 8080;
 
+// Sin un transporte de correo válido no llegan los enlaces de verificación ni
+// de restablecimiento de contraseña
+const errorCorreo = errorDeConfiguracion();
+if (errorCorreo) {
+  console.error(`⚠️  Correo no configurado: ${errorCorreo}`);
+}
+
 app.listen(PORT, () => {
   console.log(`
 🚀 LOCALAID API Server iniciado
@@ -0,0 +1,7 @@
+// Función para envolver controladores async y enviar cualquier error
+// (incluidas las promesas rechazadas) al middleware global de errores
+const asyncHandler = (controlador) => (req, res, next) => {
+  Promise.resolve(controlador(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,46 @@
+const { sendMail } = require('./mailer');
+const { crearTokenUnUso } = require('./tokens');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3001';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 8080}`;
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+// Función para escapar los datos del usuario que se insertan en el HTML del correo
+const escaparHtml = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Función para emitir un token y enviar el enlace para restablecer la contraseña
+const enviarCorreoRestablecimiento = async (user) => {
+  const token = await crearTokenUnUso(user._id, 'reset-password', PASSWORD_RESET_EXPIRES_MINUTES, user.email);
+  const enlace = `${APP_URL}/restablecer-contrasena?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña de LOCALAID',
+    text: `Hola ${user.nombre},\n\nPara restablecer tu contraseña visita: ${enlace}\n\nEl enlace expira en ${PASSWORD_RESET_EXPIRES_MINUTES} minutos. Si no solicitaste el cambio, ignora este correo.`,
+    html: `<p>Hola ${escaparHtml(user.nombre)},</p><p>Para restablecer tu contraseña haz clic en <a href="${enlace}">este enlace</a>.</p><p>El enlace expira en ${PASSWORD_RESET_EXPIRES_MINUTES} minutos. Si no solicitaste el cambio, ignora este correo.</p>`
+  });
+};
+
+// Función para emitir un token y enviar el enlace de verificación de email
+const enviarCorreoVerificacion = async (user) => {
+  const token = await crearTokenUnUso(user._id, 'verificacion-email', EMAIL_VERIFICATION_EXPIRES_HOURS * 60, user.email);
+  const enlace = `${API_URL}/api/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verifica tu email en LOCALAID',
+    text: `Hola ${user.nombre},\n\nConfirma tu email visitando: ${enlace}\n\nEl enlace expira en ${EMAIL_VERIFICATION_EXPIRES_HOURS} horas.`,
+    html: `<p>Hola ${escaparHtml(user.nombre)},</p><p>Confirma tu email haciendo clic en <a href="${enlace}">este enlace</a>.</p><p>El enlace expira en ${EMAIL_VERIFICATION_EXPIRES_HOURS} horas.</p>`
+  });
+};
+
+module.exports = {
+  enviarCorreoRestablecimiento,
+  enviarCorreoVerificacion
+};
@@ -0,0 +1,74 @@
+const { traducir } = require('./i18n');
+
+// Errores de la aplicación. Se crean con un código del catálogo de locales/
+// y el middleware global de server.js los convierte en la respuesta
+// { success: false, code, message } con el mensaje en el idioma de la petición.
+
+class AppError extends Error {
+  constructor(code = 'INTERNAL_ERROR', statusCode = 500, params = {}, errors) {
+    super(traducir(code, undefined, params));
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.params = params;
+    // Detalle por campo: [{ field, code, params }]
+    this.errors = errors;
+  }
+}
+
+// Petición incorrecta o regla de negocio incumplida
+class BadRequestError extends AppError {
+  constructor(code = 'BAD_REQUEST', params) {
+    super(code, 400, params);
+  }
+}
+
+// Datos de entrada inválidos, con el detalle por campo
+class ValidationError extends AppError {
+  constructor(code = 'VALIDATION_ERROR', errors = []) {
+    super(code, 400, {}, errors);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code = 'UNAUTHORIZED', params) {
+    super(code, 401, params);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = 'FORBIDDEN', params) {
+    super(code, 403, params);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code = 'NOT_FOUND', params) {
+    super(code, 404, params);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code = 'CONFLICT', params) {
+    super(code, 409, params);
+  }
+}
+
+// Demasiadas peticiones; retryAfter son los segundos que el cliente debe esperar
+class TooManyRequestsError extends AppError {
+  constructor(code = 'TOO_MANY_REQUESTS', params, retryAfter) {
+    super(code, 429, params);
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const tasasIniciales = require('../config/exchangeRates.json');
+
+const MONEDA_BASE = tasasIniciales.base;
+
+// Tiempo que se reutilizan las tasas leídas de la base de datos
+const CACHE_MS = 60 * 1000;
+
+let cache = null;
+let cacheExpiraEn = 0;
+
+// Función para redondear importes a dos decimales
+const redondear = (monto) => Math.round(monto * 100) / 100;
+
+// Función para recalcular el precio normalizado (precioBase) de los servicios
+// en una moneda, o de todos si no se indica ninguna
+const recalcularPreciosBase = async (tasas, moneda) => {
+  const Service = mongoose.model('Service');
+  const monedas = moneda ? [moneda] : Object.keys(tasas);
+
+  await Promise.all(monedas.map(codigo => Service.updateMany(
+    { moneda: codigo },
+    [{ $set: { precioBase: { $round: [{ $multiply: ['$precio', tasas[codigo]] }, 2] } } }]
+  )));
+};
+
+// Función para obtener las tasas vigentes { MXN: 1, USD: 17.5, ... }.
+// Si la colección está vacía se siembra desde config/exchangeRates.json.
+const obtenerTasas = async () => {
+  if (cache && Date.now() < cacheExpiraEn) {
+    return cache;
+  }
+
+  let registros = await ExchangeRate.find();
+
+  if (registros.length === 0) {
+    const documentos = Object.entries(tasasIniciales.tasas).map(([moneda, tasa]) => ({ moneda, tasa }));
+
+    try {
+      await ExchangeRate.insertMany(documentos, { ordered: false });
+    } catch (error) {
+      // Otra instancia pudo sembrar las tasas al mismo tiempo
+      if (error.code !== 11000) throw error;
+    }
+
+    registros = await ExchangeRate.find();
+    await recalcularPreciosBase(Object.fromEntries(registros.map(r => [r.moneda, r.tasa])));
+  }
+
+  cache = Object.fromEntries(registros.map(registro => [registro.moneda, registro.tasa]));
+  cacheExpiraEn = Date.now() + CACHE_MS;
+
+  return cache;
+};
+
+// Función para actualizar la tasa de una moneda y los precios normalizados afectados
+const actualizarTasa = async (moneda, tasa, userId) => {
+  if (moneda === MONEDA_BASE && tasa !== 1) {
+    throw new Error(`La tasa de la moneda base (${MONEDA_BASE}) debe ser 1`);
+  }
+
+  const registro = await ExchangeRate.findOneAndUpdate(
+    { moneda },
+    { tasa, actualizadoPor: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cache = null;
+  await recalcularPreciosBase({ [moneda]: tasa }, moneda);
+
+  return registro;
+};
+
+// Función para convertir un monto entre monedas usando las tasas indicadas
+const convertir = (monto, de, a, tasas) => {
+  if (de === a) return redondear(monto);
+  return redondear((monto * tasas[de]) / tasas[a]);
+};
+
+// Función para convertir un monto a la moneda base
+const aMonedaBase = (monto, moneda, tasas) => convertir(monto, moneda, MONEDA_BASE, tasas);
+
+module.exports = {
+  MONEDA_BASE,
+  obtenerTasas,
+  actualizarTasa,
+  convertir,
+  aMonedaBase
+};
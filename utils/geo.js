@@ -0,0 +1,333 @@
+// Búsquedas geográficas sobre el campo ubicacionAproximada (índice 2dsphere):
+// la ubicación aproximada que se muestra a quien no puede ver la exacta (ver
+// utils/privacy.js), de modo que los resultados no revelen más que ella.
+//
+// Cerca de un punto (ubicacion + radio) se usa una agregación con $geoNear en
+// lugar de consultas $near: devuelve la distancia de cada resultado, permite
+// ordenar por otros campos y contar el total con los mismos filtros
+// (countDocuments no admite $near).
+//
+// Dentro de una zona (bbox o poligono, p. ej. la vista de un mapa) se usa un
+// filtro $geoWithin normal, con un máximo de resultados por página.
+
+const { CELDA_MINIMA_GRADOS, RADIO_MINIMO_KM } = require('./privacy');
+
+const RADIO_POR_DEFECTO_KM = 10;
+const RADIO_MAXIMO_KM = parseFloat(process.env.GEO_MAX_RADIUS_KM) || 100;
+const RADIO_TIERRA_KM = 6371.0088;
+const MAXIMO_RESULTADOS_ZONA = parseInt(process.env.GEO_MAX_RESULTS) || 500;
+const MAXIMO_VERTICES_POLIGONO = 500;
+const ZOOM_MAXIMO = 22;
+
+// Celdas por tesela de 256 px al agrupar en el mapa (celdas de 64 px)
+const CELDAS_POR_TESELA = 4;
+
+// Los lados de un bbox siguen paralelos, no círculos máximos; se añaden vértices
+// intermedios cada GRADOS_POR_TRAMO grados de longitud para seguirlos
+const GRADOS_POR_TRAMO = 1;
+
+// Sistema de referencia que permite polígonos mayores que un hemisferio
+// (con el anillo en sentido antihorario), necesario para vistas de mapa amplias
+const CRS_GRANDE = {
+  type: 'name',
+  properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' }
+};
+
+// Función para leer el parámetro radio (km) de la query, o el valor por defecto.
+// No se admiten radios menores que la precisión de la ubicación aproximada.
+// Agrega los errores a la lista recibida.
+const leerRadio = ({ radio }, errors, porDefecto = RADIO_POR_DEFECTO_KM) => {
+  if (radio === undefined) {
+    return porDefecto;
+  }
+
+  const radioKm = Number(radio);
+  if (isNaN(radioKm) || radioKm <= 0 || radioKm < RADIO_MINIMO_KM || radioKm > RADIO_MAXIMO_KM) {
+    errors.push({ field: 'radio', code: 'RADIUS_OUT_OF_RANGE', params: { min: RADIO_MINIMO_KM, max: RADIO_MAXIMO_KM } });
+  }
+  return radioKm;
+};
+
+// Función para leer los parámetros ubicacion ("longitud,latitud") y radio (km)
+// de la query. Agrega los errores a la lista recibida y devuelve
+// { punto, radioKm }, o null si no se pidió búsqueda por ubicación.
+const leerBusquedaGeo = (query, errors) => {
+  const { ubicacion } = query;
+  const radioKm = leerRadio(query, errors);
+
+  if (ubicacion === undefined) {
+    return null;
+  }
+
+  const partes = typeof ubicacion === 'string' ? ubicacion.split(',') : [];
+  const [longitud, latitud] = partes.map(coordenada => Number(coordenada.trim()));
+
+  if (partes.length !== 2 || isNaN(longitud) || isNaN(latitud) ||
+      longitud < -180 || longitud > 180 || latitud < -90 || latitud > 90) {
+    errors.push({ field: 'ubicacion', code: 'INVALID_LOCATION_FORMAT' });
+    return null;
+  }
+
+  return {
+    punto: { type: 'Point', coordinates: [longitud, latitud] },
+    radioKm
+  };
+};
+
+// Función para saber si un documento tiene una ubicación con coordenadas
+const tieneUbicacion = (documento) => Boolean(documento && documento.ubicacion &&
+  Array.isArray(documento.ubicacion.coordinates) && documento.ubicacion.coordinates.length === 2);
+
+// Función para saber si una posición GeoJSON es [longitud, latitud] válida
+const esPosicion = (posicion) => Array.isArray(posicion) && posicion.length === 2 &&
+  posicion.every(valor => typeof valor === 'number' && isFinite(valor)) &&
+  posicion[0] >= -180 && posicion[0] <= 180 && posicion[1] >= -90 && posicion[1] <= 90;
+
+// Función para saber si los segmentos pq y rs se cortan (en el plano longitud/latitud)
+const seCortan = (p, q, r, s) => {
+  const orientacion = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+  return orientacion(p, q, r) !== orientacion(p, q, s) &&
+    orientacion(r, s, p) !== orientacion(r, s, q);
+};
+
+// Función para saber si un anillo cerrado se corta a sí mismo (lados no contiguos)
+const seAutointersecta = (anillo) => {
+  const lados = anillo.length - 1;
+  for (let i = 0; i < lados; i++) {
+    for (let j = i + 2; j < lados; j++) {
+      if (i === 0 && j === lados - 1) continue; // El primer y el último lado comparten vértice
+      if (seCortan(anillo[i], anillo[i + 1], anillo[j], anillo[j + 1])) return true;
+    }
+  }
+  return false;
+};
+
+// Función para validar un polígono GeoJSON. Devuelve el código de error o null.
+const errorDePoligono = (poligono) => {
+  if (!poligono || poligono.type !== 'Polygon' || !Array.isArray(poligono.coordinates) ||
+      poligono.coordinates.length === 0) {
+    return 'INVALID_POLYGON';
+  }
+
+  const vertices = poligono.coordinates.reduce((suma, anillo) => suma + (Array.isArray(anillo) ? anillo.length : 0), 0);
+  if (vertices > MAXIMO_VERTICES_POLIGONO) {
+    return 'POLYGON_TOO_COMPLEX';
+  }
+
+  const anillosValidos = poligono.coordinates.every(anillo => {
+    if (!Array.isArray(anillo) || anillo.length < 4 || !anillo.every(esPosicion)) return false;
+    const [primero, ultimo] = [anillo[0], anillo[anillo.length - 1]];
+    // Cerrado, con al menos tres vértices distintos y sin cruzarse
+    return primero[0] === ultimo[0] && primero[1] === ultimo[1] &&
+      new Set(anillo.map(posicion => posicion.join(','))).size >= 3 &&
+      !seAutointersecta(anillo);
+  });
+
+  return anillosValidos ? null : 'INVALID_POLYGON';
+};
+
+// Función para convertir un bbox en un polígono. Si minLongitud > maxLongitud
+// el bbox cruza el antimeridiano (longitud 180).
+const poligonoDeBbox = ([minLongitud, minLatitud, maxLongitud, maxLatitud]) => {
+  const ancho = maxLongitud > minLongitud ? maxLongitud - minLongitud : maxLongitud - minLongitud + 360;
+  const tramos = Math.max(1, Math.ceil(ancho / GRADOS_POR_TRAMO));
+  const normalizar = (longitud) => (longitud > 180 ? longitud - 360 : longitud);
+  const longitudes = Array.from({ length: tramos + 1 }, (_, i) => normalizar(minLongitud + (ancho * i) / tramos));
+
+  // Sentido antihorario: borde inferior hacia el este y superior hacia el oeste
+  const anillo = [
+    ...longitudes.map(longitud => [longitud, minLatitud]),
+    ...longitudes.slice().reverse().map(longitud => [longitud, maxLatitud]),
+    [minLongitud, minLatitud]
+  ];
+
+  return { type: 'Polygon', coordinates: [anillo], crs: CRS_GRANDE };
+};
+
+// Función para saber si un rectángulo mide de alto y de ancho al menos la celda
+// mínima de privacidad (el ancho en la latitud más cercana al ecuador), la
+// precisión de la ubicación aproximada.
+const esZonaSuficiente = ([minLongitud, minLatitud, maxLongitud, maxLatitud]) => {
+  const ancho = maxLongitud >= minLongitud ? maxLongitud - minLongitud : maxLongitud - minLongitud + 360;
+  const latitudMasAncha = minLatitud <= 0 && maxLatitud >= 0
+    ? 0
+    : Math.min(Math.abs(minLatitud), Math.abs(maxLatitud));
+
+  return maxLatitud - minLatitud >= CELDA_MINIMA_GRADOS &&
+    ancho * Math.cos(latitudMasAncha * Math.PI / 180) >= CELDA_MINIMA_GRADOS;
+};
+
+// Función para obtener el rectángulo [minLng, minLat, maxLng, maxLat] que
+// contiene el anillo exterior de un polígono
+const bboxDePoligono = ({ coordinates: [exterior] }) => [
+  Math.min(...exterior.map(([longitud]) => longitud)),
+  Math.min(...exterior.map(([, latitud]) => latitud)),
+  Math.max(...exterior.map(([longitud]) => longitud)),
+  Math.max(...exterior.map(([, latitud]) => latitud))
+];
+
+// Función para obtener el filtro $geoWithin de una geometría
+const dentroDe = (geometria) => ({
+  ubicacionAproximada: { $geoWithin: { $geometry: geometria } }
+});
+
+// Función para leer los parámetros bbox ("minLng,minLat,maxLng,maxLat") y
+// poligono (GeoJSON Polygon en JSON) de la query. Agrega los errores a la lista
+// recibida y devuelve el filtro de la zona, o null si no se pidió.
+const leerZonaGeo = ({ bbox, poligono, ubicacion }, errors) => {
+  if (bbox === undefined && poligono === undefined) {
+    return null;
+  }
+
+  if ([bbox, poligono, ubicacion].filter(valor => valor !== undefined).length > 1) {
+    errors.push({ field: bbox !== undefined ? 'bbox' : 'poligono', code: 'GEO_FILTERS_EXCLUSIVE' });
+    return null;
+  }
+
+  if (bbox !== undefined) {
+    const partes = typeof bbox === 'string' ? bbox.split(',') : [];
+    const valores = partes.map(valor => (valor.trim() === '' ? NaN : Number(valor)));
+    const [minLongitud, minLatitud, maxLongitud, maxLatitud] = valores;
+
+    if (valores.length !== 4 || !esPosicion([minLongitud, minLatitud]) || !esPosicion([maxLongitud, maxLatitud]) ||
+        minLatitud >= maxLatitud || minLongitud === maxLongitud) {
+      errors.push({ field: 'bbox', code: 'INVALID_BBOX' });
+      return null;
+    }
+
+    if (!esZonaSuficiente(valores)) {
+      errors.push({ field: 'bbox', code: 'ZONE_TOO_SMALL', params: { min: RADIO_MINIMO_KM } });
+      return null;
+    }
+
+    // Un bbox que abarca todas las longitudes (mapa del mundo) es una franja de latitud
+    if (minLongitud === -180 && maxLongitud === 180) {
+      return { 'ubicacionAproximada.coordinates.1': { $gte: minLatitud, $lte: maxLatitud } };
+    }
+
+    return dentroDe(poligonoDeBbox(valores));
+  }
+
+  let geometria;
+  try {
+    geometria = typeof poligono === 'string' ? JSON.parse(poligono) : null;
+  } catch (error) {
+    geometria = null;
+  }
+
+  const codigo = errorDePoligono(geometria);
+  if (codigo) {
+    errors.push({ field: 'poligono', code: codigo, params: { max: MAXIMO_VERTICES_POLIGONO } });
+    return null;
+  }
+
+  if (!esZonaSuficiente(bboxDePoligono(geometria))) {
+    errors.push({ field: 'poligono', code: 'ZONE_TOO_SMALL', params: { min: RADIO_MINIMO_KM } });
+    return null;
+  }
+
+  return dentroDe({ type: 'Polygon', coordinates: geometria.coordinates });
+};
+
+// Función para leer el nivel de zoom del mapa (entero de 0 a ZOOM_MAXIMO).
+// Agrega los errores a la lista recibida.
+const leerZoom = ({ zoom }, errors) => {
+  if (zoom === undefined) {
+    errors.push({ field: 'zoom', code: 'FIELD_REQUIRED' });
+    return null;
+  }
+
+  const nivel = Number(zoom);
+  if (!Number.isInteger(nivel) || nivel < 0 || nivel > ZOOM_MAXIMO) {
+    errors.push({ field: 'zoom', code: 'ZOOM_OUT_OF_RANGE', params: { max: ZOOM_MAXIMO } });
+    return null;
+  }
+
+  return nivel;
+};
+
+// Función para obtener el tamaño en grados de las celdas de agrupación de un
+// nivel de zoom, sin bajar del mínimo indicado
+const tamanoCelda = (zoom, minimo = 0) => Math.max(360 / (2 ** zoom) / CELDAS_POR_TESELA, minimo);
+
+// Función para buscar documentos dentro del radio, con filtro, orden y paginación.
+// filtroDistancia es una condición opcional que puede usar la distancia calculada
+// (campo "distancia", en metros hasta la ubicación aproximada). Devuelve { documentos, total }; los documentos
+// son instancias del modelo (para que se aplique su toJSON) con la distancia en
+// $locals.distancia.
+const buscarCercanos = async (Model, { busqueda, filtro = {}, filtroDistancia, orden, skip, limit, proyeccion }) => {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: busqueda.punto,
+        distanceField: 'distancia',
+        maxDistance: busqueda.radioKm * 1000, // Convertir km a metros
+        query: filtro,
+        key: 'ubicacionAproximada',
+        spherical: true
+      }
+    }
+  ];
+
+  if (filtroDistancia) {
+    pipeline.push({ $match: filtroDistancia });
+  }
+
+  if (proyeccion) {
+    pipeline.push({ $project: proyeccion });
+  }
+
+  pipeline.push({
+    $facet: {
+      resultados: [{ $sort: orden }, { $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'total' }]
+    }
+  });
+
+  const [resultado] = await Model.aggregate(pipeline);
+
+  const documentos = resultado.resultados.map(({ distancia, ...datos }) => {
+    const documento = Model.hydrate(datos);
+    documento.$locals.distancia = { origen: busqueda.punto.coordinates, metros: distancia };
+    return documento;
+  });
+
+  return {
+    documentos,
+    total: resultado.total.length > 0 ? resultado.total[0].total : 0
+  };
+};
+
+// Función para calcular la distancia en km entre dos coordenadas [longitud, latitud]
+const distanciaEntre = ([longitud1, latitud1], [longitud2, latitud2]) => {
+  const radianes = (grados) => grados * Math.PI / 180;
+  const deltaLatitud = radianes(latitud2 - latitud1);
+  const deltaLongitud = radianes(longitud2 - longitud1);
+  const a = Math.sin(deltaLatitud / 2) ** 2 +
+    Math.cos(radianes(latitud1)) * Math.cos(radianes(latitud2)) * Math.sin(deltaLongitud / 2) ** 2;
+  return 2 * RADIO_TIERRA_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Función para obtener la distancia (km, dos decimales) que se muestra con un
+// resultado, medida hasta la ubicación que se muestra (exacta o aproximada)
+const distanciaVisible = ({ origen, metros }, ubicacion) => {
+  const km = tieneUbicacion({ ubicacion })
+    ? distanciaEntre(origen, ubicacion.coordinates)
+    : metros / 1000;
+  return Math.round(km * 100) / 100;
+};
+
+module.exports = {
+  RADIO_POR_DEFECTO_KM,
+  RADIO_MAXIMO_KM,
+  MAXIMO_RESULTADOS_ZONA,
+  tieneUbicacion,
+  leerRadio,
+  leerBusquedaGeo,
+  leerZonaGeo,
+  leerZoom,
+  tamanoCelda,
+  buscarCercanos,
+  distanciaEntre,
+  distanciaVisible
+};
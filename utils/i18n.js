@@ -0,0 +1,51 @@
+const catalogos = {
+  es: require('../locales/es.json'),
+  en: require('../locales/en.json')
+};
+
+const IDIOMA_POR_DEFECTO = 'es';
+const IDIOMAS = Object.keys(catalogos);
+
+// Función para elegir el idioma según la cabecera Accept-Language
+// (ej. "en-US,en;q=0.9,es;q=0.8"). Si no hay ninguno soportado se usa español.
+const idiomaDesdeCabecera = (cabecera) => {
+  if (!cabecera) return IDIOMA_POR_DEFECTO;
+
+  const preferidos = cabecera
+    .split(',')
+    .map(parte => {
+      const [etiqueta, ...parametros] = parte.trim().split(';');
+      const calidad = parametros.find(parametro => parametro.trim().startsWith('q='));
+      return {
+        idioma: etiqueta.trim().toLowerCase().split('-')[0],
+        q: calidad ? parseFloat(calidad.trim().slice(2)) : 1
+      };
+    })
+    .filter(preferido => preferido.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const encontrado = preferidos.find(preferido => IDIOMAS.includes(preferido.idioma));
+  return encontrado ? encontrado.idioma : IDIOMA_POR_DEFECTO;
+};
+
+// Función para saber si un texto es un código del catálogo
+const esCodigo = (codigo) => Object.prototype.hasOwnProperty.call(catalogos[IDIOMA_POR_DEFECTO], codigo);
+
+// Función para traducir un código, sustituyendo los parámetros {nombre}.
+// Si el código no existe se devuelve tal cual.
+const traducir = (codigo, idioma = IDIOMA_POR_DEFECTO, params = {}) => {
+  const catalogo = catalogos[idioma] || catalogos[IDIOMA_POR_DEFECTO];
+  const plantilla = catalogo[codigo] || catalogos[IDIOMA_POR_DEFECTO][codigo] || codigo;
+
+  return plantilla.replace(/\{(\w+)\}/g, (coincidencia, nombre) => (
+    params[nombre] !== undefined ? String(params[nombre]) : coincidencia
+  ));
+};
+
+module.exports = {
+  IDIOMA_POR_DEFECTO,
+  IDIOMAS,
+  idiomaDesdeCabecera,
+  esCodigo,
+  traducir
+};
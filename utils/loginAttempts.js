@@ -0,0 +1,205 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Configuración de la protección contra fuerza bruta
+const MAX_FALLOS_CUENTA = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_FALLOS_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_IP) || 20;
+const VENTANA_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const BLOQUEO_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const RETRASO_BASE_MS = (parseInt(process.env.LOGIN_DELAY_SECONDS) || 1) * 1000;
+const RETRASO_MAXIMO_MS = 30 * 1000;
+
+// Almacenes disponibles. Todos exponen la misma interfaz async:
+//   obtener(clave)                 -> { fallos, bloqueadoHasta } o null si no hay registro vigente
+//   registrarFallo(clave, ventanaMs) -> { fallos, bloqueadoHasta }
+//   bloquear(clave, hasta)
+//   reiniciar(clave)
+const crearStoreMemoria = () => {
+  const registros = new Map();
+
+  const vigente = (clave) => {
+    const registro = registros.get(clave);
+    if (registro && registro.expiraEn <= Date.now()) {
+      registros.delete(clave);
+      return null;
+    }
+    return registro || null;
+  };
+
+  return {
+    obtener: async (clave) => vigente(clave),
+
+    registrarFallo: async (clave, ventanaMs) => {
+      const registro = vigente(clave) || { fallos: 0, bloqueadoHasta: null, expiraEn: Date.now() + ventanaMs };
+      registro.fallos += 1;
+      registros.set(clave, registro);
+      return registro;
+    },
+
+    bloquear: async (clave, hasta) => {
+      const registro = vigente(clave);
+      if (!registro) return;
+      registro.bloqueadoHasta = hasta;
+      registro.expiraEn = Math.max(registro.expiraEn, hasta.getTime());
+    },
+
+    reiniciar: async (clave) => {
+      registros.delete(clave);
+    }
+  };
+};
+
+const storeMongo = {
+  obtener: async (clave) => LoginAttempt.findOne({ clave, expiraEn: { $gt: new Date() } }).lean(),
+
+  registrarFallo: async (clave, ventanaMs) => {
+    const ahora = new Date();
+
+    // Un registro vencido que el índice TTL aún no eliminó se reinicia
+    await LoginAttempt.deleteOne({ clave, expiraEn: { $lte: ahora } });
+
+    try {
+      return await LoginAttempt.findOneAndUpdate(
+        { clave },
+        {
+          $inc: { fallos: 1 },
+          $setOnInsert: { expiraEn: new Date(ahora.getTime() + ventanaMs) }
+        },
+        { new: true, upsert: true }
+      ).lean();
+    } catch (error) {
+      // Dos fallos simultáneos pueden intentar crear el mismo registro
+      if (error.code !== 11000) throw error;
+      return LoginAttempt.findOneAndUpdate({ clave }, { $inc: { fallos: 1 } }, { new: true }).lean();
+    }
+  },
+
+  bloquear: async (clave, hasta) => {
+    await LoginAttempt.updateOne(
+      { clave },
+      { $set: { bloqueadoHasta: hasta }, $max: { expiraEn: hasta } }
+    );
+  },
+
+  reiniciar: async (clave) => {
+    await LoginAttempt.deleteOne({ clave });
+  }
+};
+
+const stores = {
+  memory: crearStoreMemoria,
+  mongo: () => storeMongo
+};
+
+let store = null;
+
+// Función para reemplazar el almacén de intentos. Acepta el nombre de un
+// almacén registrado (memory | mongo) o un objeto con la misma interfaz.
+const setStore = (nuevoStore) => {
+  if (nuevoStore === null || typeof nuevoStore === 'object') {
+    store = nuevoStore;
+    return;
+  }
+
+  if (!stores[nuevoStore]) {
+    throw new Error(`Almacén de intentos de inicio de sesión no soportado: ${nuevoStore}`);
+  }
+
+  store = stores[nuevoStore]();
+};
+
+// Función para obtener el almacén configurado (LOGIN_ATTEMPTS_STORE, por defecto mongo)
+const obtenerStore = () => {
+  if (!store) {
+    setStore(process.env.LOGIN_ATTEMPTS_STORE || 'mongo');
+  }
+  return store;
+};
+
+const claveCuenta = (email) => `cuenta:${email.toLowerCase()}`;
+const claveIp = (ip) => `ip:${ip}`;
+
+// Función para obtener la IP por la que se cuentan los fallos, o null si no es
+// fiable. En producción sin proxies de confianza (TRUST_PROXY=false) req.ip
+// podría ser la del proxy, y bloquearla dejaría sin inicio de sesión a todos
+// los usuarios; en ese caso solo se cuentan los fallos por cuenta.
+const ipDelCliente = (req) => {
+  if (process.env.NODE_ENV === 'production' && !req.app.get('trust proxy')) {
+    return null;
+  }
+  return req.ip || null;
+};
+
+// Función para obtener el registro de una IP, o null si no se cuenta por IP
+const obtenerIp = (ip) => (ip ? obtenerStore().obtener(claveIp(ip)) : null);
+
+// Función para calcular los segundos que faltan hasta una fecha
+const segundosHasta = (fecha) => Math.max(1, Math.ceil((new Date(fecha).getTime() - Date.now()) / 1000));
+
+// Función para comprobar si el inicio de sesión está bloqueado para una cuenta o IP
+// (ip es null si no se cuenta por IP, ver ipDelCliente).
+// Devuelve null o { motivo, segundos } con motivo 'cuenta', 'ip' o 'retraso'.
+const comprobarBloqueo = async (email, ip) => {
+  const [cuenta, direccion] = await Promise.all([
+    obtenerStore().obtener(claveCuenta(email)),
+    obtenerIp(ip)
+  ]);
+
+  if (direccion && direccion.bloqueadoHasta && new Date(direccion.bloqueadoHasta) > new Date()) {
+    return { motivo: 'ip', segundos: segundosHasta(direccion.bloqueadoHasta) };
+  }
+
+  if (cuenta && cuenta.bloqueadoHasta && new Date(cuenta.bloqueadoHasta) > new Date()) {
+    return {
+      motivo: cuenta.fallos >= MAX_FALLOS_CUENTA ? 'cuenta' : 'retraso',
+      segundos: segundosHasta(cuenta.bloqueadoHasta)
+    };
+  }
+
+  return null;
+};
+
+// Función para registrar un intento fallido. Tras cada fallo la cuenta debe
+// esperar un retraso que se duplica, y al llegar al máximo queda bloqueada.
+// Devuelve { intentosRestantes, bloqueo } con bloqueo igual que comprobarBloqueo.
+const registrarFallo = async (email, ip) => {
+  const [cuenta, direccion] = await Promise.all([
+    obtenerStore().registrarFallo(claveCuenta(email), VENTANA_MS),
+    ip ? obtenerStore().registrarFallo(claveIp(ip), VENTANA_MS) : null
+  ]);
+
+  let bloqueo = null;
+
+  if (direccion && direccion.fallos >= MAX_FALLOS_IP) {
+    await obtenerStore().bloquear(claveIp(ip), new Date(Date.now() + BLOQUEO_MS));
+    bloqueo = { motivo: 'ip', segundos: BLOQUEO_MS / 1000 };
+  }
+
+  if (cuenta.fallos >= MAX_FALLOS_CUENTA) {
+    await obtenerStore().bloquear(claveCuenta(email), new Date(Date.now() + BLOQUEO_MS));
+    bloqueo = { motivo: 'cuenta', segundos: BLOQUEO_MS / 1000 };
+  } else if (cuenta.fallos > 1) {
+    const retraso = Math.min(RETRASO_BASE_MS * 2 ** (cuenta.fallos - 2), RETRASO_MAXIMO_MS);
+    await obtenerStore().bloquear(claveCuenta(email), new Date(Date.now() + retraso));
+  }
+
+  return {
+    intentosRestantes: Math.max(0, MAX_FALLOS_CUENTA - cuenta.fallos),
+    bloqueo
+  };
+};
+
+// Función para reiniciar los fallos de una cuenta tras un inicio de sesión correcto.
+// Los fallos por IP no se reinician para que una cuenta propia no sirva para
+// seguir probando contraseñas de otras; expiran con la ventana.
+const reiniciarFallos = async (email) => {
+  await obtenerStore().reiniciar(claveCuenta(email));
+};
+
+module.exports = {
+  MAX_FALLOS_CUENTA,
+  ipDelCliente,
+  comprobarBloqueo,
+  registrarFallo,
+  reiniciarFallos,
+  setStore
+};
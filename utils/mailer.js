@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'LOCALAID <no-reply@localaid.com>';
+
+// Los transportes console y file imprimen o guardan el texto de los correos,
+// con los enlaces de un solo uso (verificar email, restablecer contraseña).
+// Solo se admiten en desarrollo y pruebas; en el resto de entornos el
+// transporte por defecto es smtp.
+const TRANSPORTES_LOCALES = ['console', 'file'];
+const ENTORNOS_LOCALES = ['development', 'test'];
+
+let smtpTransporter = null;
+
+// Transportes disponibles. Cada uno recibe { from, to, subject, text, html }.
+const transports = {
+  // Imprime el correo en consola (desarrollo local)
+  console: async (mail) => {
+    console.log(`
+📧 Correo para ${mail.to}
+Asunto: ${mail.subject}
+${mail.text}
+    `);
+    return { transport: 'console' };
+  },
+
+  // Guarda cada correo como JSON en un directorio (pruebas y desarrollo sin red)
+  file: async (mail) => {
+    const directorio = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'localaid-mails');
+    await fs.promises.mkdir(directorio, { recursive: true });
+
+    const archivo = path.join(directorio, `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`);
+    await fs.promises.writeFile(archivo, JSON.stringify({ ...mail, fecha: new Date().toISOString() }, null, 2));
+
+    return { transport: 'file', archivo };
+  },
+
+  // Envía el correo a través de un servidor SMTP
+  smtp: async (mail) => {
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpTransporter.sendMail(mail);
+    return { transport: 'smtp', messageId: info.messageId };
+  }
+};
+
+// Transporte personalizado (p. ej. para capturar correos en pruebas)
+let customTransport = null;
+
+// Función para saber si la aplicación corre en desarrollo o en pruebas
+const esEntornoLocal = () => ENTORNOS_LOCALES.includes(process.env.NODE_ENV || 'development');
+
+// Función para obtener el nombre del transporte configurado (MAIL_TRANSPORT)
+const nombreDelTransporte = () => process.env.MAIL_TRANSPORT || (esEntornoLocal() ? 'console' : 'smtp');
+
+// Función para comprobar la configuración del correo. Devuelve el mensaje de
+// error, o null si se pueden enviar correos.
+const errorDeConfiguracion = () => {
+  const nombre = nombreDelTransporte();
+
+  if (!transports[nombre]) {
+    return `Transporte de correo no soportado: ${nombre}`;
+  }
+
+  if (TRANSPORTES_LOCALES.includes(nombre) && !esEntornoLocal()) {
+    return `MAIL_TRANSPORT=${nombre} solo se admite en desarrollo (expondría los enlaces de los correos); configura MAIL_TRANSPORT=smtp`;
+  }
+
+  if (nombre === 'smtp' && !process.env.SMTP_HOST) {
+    return 'Falta SMTP_HOST para enviar correos con MAIL_TRANSPORT=smtp';
+  }
+
+  return null;
+};
+
+// Función para reemplazar el transporte de correo. Acepta el nombre de un
+// transporte registrado o una función async (mail) => resultado.
+const setTransport = (transport) => {
+  if (transport === null || typeof transport === 'function') {
+    customTransport = transport;
+    return;
+  }
+
+  if (!transports[transport]) {
+    throw new Error(`Transporte de correo no soportado: ${transport}`);
+  }
+
+  if (TRANSPORTES_LOCALES.includes(transport) && !esEntornoLocal()) {
+    throw new Error(`El transporte de correo ${transport} solo se admite en desarrollo`);
+  }
+
+  customTransport = transports[transport];
+};
+
+// Función para enviar un correo con el transporte configurado (MAIL_TRANSPORT)
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!customTransport) {
+    const error = errorDeConfiguracion();
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  const transport = customTransport || transports[nombreDelTransporte()];
+  return transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  errorDeConfiguracion
+};
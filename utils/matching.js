@@ -0,0 +1,109 @@
+const configuracion = require('../config/matching.json');
+const { buscarSkill } = require('./skills');
+
+// Puntuación de oferentes para un servicio (GET /api/services/:id/candidatos).
+//
+// Cada candidato recibe una puntuación de 0 a 100 con tres criterios, ponderados
+// según config/matching.json:
+// - skills: skills del oferente que coinciden con los términos del servicio
+//   (categoría, términos asociados a la categoría y palabras del título y la
+//   descripción). Las skills del catálogo (config/skills.json) coinciden también
+//   por su categoría y por cualquiera de sus sinónimos.
+// - distancia: 1 en la ubicación del servicio y 0 en el límite del radio
+// - calificacion: promedio de reseñas sobre 5
+// Los criterios sin dato (sin ubicación o sin reseñas) no cuentan y su peso se
+// reparte entre los demás.
+
+const { pesos, coincidenciasParaMaximo, categorias } = configuracion;
+
+const PESOS = pesos;
+const RADIO_CANDIDATOS_KM = configuracion.radioPorDefectoKm;
+const MAXIMO_CANDIDATOS = configuracion.maximoCandidatos;
+
+// Las palabras se comparan por sus primeras letras (plomero ~ plomería)
+const LONGITUD_RAIZ = 5;
+
+const PALABRAS_VACIAS = new Set([
+  'the', 'and', 'con', 'para', 'por', 'que', 'los', 'las', 'del', 'una', 'uno', 'unos', 'unas',
+  'mas', 'muy', 'sin', 'sobre', 'entre', 'como', 'este', 'esta', 'estos', 'estas', 'ese', 'esa',
+  'mis', 'tus', 'sus', 'nos', 'les', 'hay', 'ser', 'son', 'hacer', 'necesito', 'busco',
+  'servicio', 'servicios', 'casa', 'urgente'
+]);
+
+// Función para obtener las palabras de un texto sin acentos ni mayúsculas
+const palabrasDe = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(palabra => palabra.length >= 3 && !PALABRAS_VACIAS.has(palabra));
+
+const raizDe = (palabra) => palabra.slice(0, LONGITUD_RAIZ);
+
+// Función para redondear puntuaciones a dos decimales
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// Función para obtener los términos con los que se comparan las skills
+const terminosDelServicio = (service) => [...new Set([
+  ...palabrasDe(service.categoria),
+  ...(categorias[service.categoria] || []).flatMap(palabrasDe),
+  ...palabrasDe(service.titulo),
+  ...palabrasDe(service.descripcion)
+])];
+
+// Función para obtener las skills que coinciden con la categoría del servicio
+// o con alguno de sus términos
+const skillsCoincidentes = (skills, { terminos, categoria }) => {
+  const raices = new Set(terminos.map(raizDe));
+  return (skills || []).filter(texto => {
+    const skill = buscarSkill(texto);
+    if (skill && skill.categorias.includes(categoria)) return true;
+
+    const formas = skill ? [skill.nombre, ...skill.sinonimos] : [texto];
+    return formas.some(forma => palabrasDe(forma).some(palabra => raices.has(raizDe(palabra))));
+  });
+};
+
+// Función para puntuar un candidato. distanciaKm es null si no se conoce.
+// Devuelve { total, skills, distancia, calificacion } con el detalle de cada criterio
+// (null si no cuenta).
+const puntuarCandidato = (candidato, { terminos, categoria, distanciaKm, radioKm }) => {
+  const coincidencias = skillsCoincidentes(candidato.skills, { terminos, categoria });
+
+  const criterios = {
+    skills: {
+      puntuacion: redondear(Math.min(1, coincidencias.length / coincidenciasParaMaximo)),
+      coincidencias
+    },
+    distancia: distanciaKm === null || distanciaKm === undefined ? null : {
+      puntuacion: redondear(Math.max(0, 1 - distanciaKm / radioKm)),
+      km: distanciaKm
+    },
+    calificacion: candidato.totalResenas > 0 ? {
+      puntuacion: redondear(candidato.calificacionPromedio / 5),
+      promedio: candidato.calificacionPromedio,
+      resenas: candidato.totalResenas
+    } : null
+  };
+
+  let suma = 0;
+  let pesoTotal = 0;
+  Object.entries(criterios).forEach(([criterio, detalle]) => {
+    if (!detalle) return;
+    suma += PESOS[criterio] * detalle.puntuacion;
+    pesoTotal += PESOS[criterio];
+  });
+
+  return {
+    total: pesoTotal > 0 ? Math.round((suma / pesoTotal) * 100) : 0,
+    ...criterios
+  };
+};
+
+module.exports = {
+  PESOS,
+  RADIO_CANDIDATOS_KM,
+  MAXIMO_CANDIDATOS,
+  terminosDelServicio,
+  puntuarCandidato
+};
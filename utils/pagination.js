@@ -0,0 +1,33 @@
+// Paginación de los listados (parámetros page y limit de la query)
+
+const LIMITE_POR_DEFECTO = 10;
+const LIMITE_MAXIMO = 100;
+
+// Función para leer page y limit como enteros positivos, con limit hasta el
+// máximo indicado. Agrega los errores a la lista recibida y devuelve
+// { pagina, limite, skip }.
+const leerPaginacion = ({ page, limit }, errors, { porDefecto = LIMITE_POR_DEFECTO, maximo = LIMITE_MAXIMO } = {}) => {
+  const pagina = page === undefined ? 1 : Number(page);
+  const limite = limit === undefined ? porDefecto : Number(limit);
+
+  if (!Number.isInteger(pagina)) {
+    errors.push({ field: 'page', code: 'FIELD_NOT_INTEGER' });
+  } else if (pagina < 1) {
+    errors.push({ field: 'page', code: 'FIELD_MIN', params: { min: 1 } });
+  }
+
+  if (!Number.isInteger(limite)) {
+    errors.push({ field: 'limit', code: 'FIELD_NOT_INTEGER' });
+  } else if (limite < 1) {
+    errors.push({ field: 'limit', code: 'FIELD_MIN', params: { min: 1 } });
+  } else if (limite > maximo) {
+    errors.push({ field: 'limit', code: 'FIELD_MAX', params: { max: maximo } });
+  }
+
+  return { pagina, limite, skip: (pagina - 1) * limite };
+};
+
+module.exports = {
+  LIMITE_MAXIMO,
+  leerPaginacion
+};
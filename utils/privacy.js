@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Visibilidad de los datos de contacto y de la ubicación exacta.
+//
+// La serialización de User y Service (toJSON) decide qué mostrar según el
+// "visor" que se asigna a cada documento en $locals.visor. Los controladores
+// obtienen el visor de quien hace la petición y lo asignan a los documentos
+// que devuelven, incluidos los que vienen con populate.
+//
+// La ubicación aproximada se guarda junto a la exacta (ubicacionAproximada) y
+// las búsquedas por zona y distancia filtran con ella: ni reducir la zona o el
+// radio ni desplazar sus bordes revelan más que el punto que se muestra.
+
+// Ubicación aproximada para quien no puede ver la exacta:
+// jitter (desplazamiento fijo por documento), round (rejilla) u off (exacta para todos)
+const MODO_UBICACION = process.env.LOCATION_PRIVACY_MODE || 'jitter';
+const METROS_UBICACION = parseInt(process.env.LOCATION_PRIVACY_METERS) || 1000;
+const METROS_POR_GRADO = 111320;
+
+// Tamaño mínimo (en grados) de las celdas en que se agrupan las ubicaciones en el mapa
+const CELDA_MINIMA_GRADOS = MODO_UBICACION === 'off' ? 0 : METROS_UBICACION / METROS_POR_GRADO;
+
+// Radio mínimo (km) de las búsquedas por distancia: por debajo de la precisión
+// de la ubicación aproximada los resultados no serían significativos
+const RADIO_MINIMO_KM = MODO_UBICACION === 'off' ? 0 : METROS_UBICACION / 1000;
+
+// Función para obtener el visor de una petición: { id, admin, contrapartes }.
+// Las contrapartes son los usuarios con los que comparte un servicio asignado
+// (creador y oferente asignado). Devuelve null para peticiones anónimas.
+const obtenerVisor = async (user) => {
+  if (!user) return null;
+
+  const userId = user._id.toString();
+  const Service = mongoose.model('Service');
+
+  const servicios = await Service.find({
+    asignadoA: { $ne: null },
+    $or: [{ creadoPor: user._id }, { asignadoA: user._id }]
+  }).select('creadoPor asignadoA').lean();
+
+  const contrapartes = new Set();
+  servicios.forEach(servicio => {
+    const creadorId = servicio.creadoPor.toString();
+    contrapartes.add(creadorId === userId ? servicio.asignadoA.toString() : creadorId);
+  });
+
+  return {
+    id: userId,
+    admin: user.rol === 'admin',
+    contrapartes
+  };
+};
+
+// Función para obtener el visor del propio usuario (p. ej. al iniciar sesión)
+const visorPropio = (user) => ({
+  id: user._id.toString(),
+  admin: user.rol === 'admin',
+  contrapartes: new Set()
+});
+
+// Función para asignar el visor a uno o varios documentos (o listas).
+// Ignora valores vacíos y referencias sin poblar.
+const asignarVisor = (documentos, visor) => {
+  [].concat(documentos).forEach(documento => {
+    if (documento && documento.$locals) {
+      documento.$locals.visor = visor;
+    }
+  });
+  return documentos;
+};
+
+// Función para obtener números pseudoaleatorios en [0, 1) fijos para una semilla.
+// Se derivan con HMAC para que no puedan calcularse conociendo solo el ID.
+const aleatoriosDe = (semilla) => {
+  const secreto = process.env.LOCATION_PRIVACY_SECRET || process.env.JWT_SECRET || 'localaid';
+  const hash = crypto.createHmac('sha256', secreto).update(String(semilla)).digest();
+  return [hash.readUInt32BE(0) / 2 ** 32, hash.readUInt32BE(4) / 2 ** 32];
+};
+
+// Función para redondear coordenadas a 5 decimales (~1 m)
+const redondearCoordenada = (valor) => Math.round(valor * 1e5) / 1e5;
+
+// Función para aproximar una ubicación GeoJSON. El resultado es siempre el mismo
+// para la misma semilla (ID del documento), de modo que repetir la consulta no
+// permite promediar hasta la ubicación real.
+const aproximarUbicacion = (ubicacion, semilla) => {
+  if (MODO_UBICACION === 'off' || !ubicacion || !Array.isArray(ubicacion.coordinates) ||
+      ubicacion.coordinates.length !== 2) {
+    return ubicacion;
+  }
+
+  const [longitud, latitud] = ubicacion.coordinates;
+  const paso = METROS_UBICACION / METROS_POR_GRADO;
+  let coordenadas;
+
+  if (MODO_UBICACION === 'round') {
+    coordenadas = [Math.round(longitud / paso) * paso, Math.round(latitud / paso) * paso];
+  } else {
+    // Punto uniforme dentro de un círculo de METROS_UBICACION alrededor de la ubicación real
+    const [a, b] = aleatoriosDe(semilla);
+    const angulo = a * 2 * Math.PI;
+    const distancia = paso * Math.sqrt(b);
+    const cosenoLatitud = Math.max(Math.cos(latitud * Math.PI / 180), 0.01);
+
+    coordenadas = [
+      longitud + (distancia * Math.sin(angulo)) / cosenoLatitud,
+      latitud + distancia * Math.cos(angulo)
+    ];
+  }
+
+  // Mantener las coordenadas dentro de los rangos válidos
+  const [nuevaLongitud, nuevaLatitud] = coordenadas;
+  return {
+    ...ubicacion,
+    coordinates: [
+      redondearCoordenada(((nuevaLongitud + 540) % 360) - 180),
+      redondearCoordenada(Math.min(90, Math.max(-90, nuevaLatitud)))
+    ],
+    aproximada: true
+  };
+};
+
+// Función para saber si una ubicación GeoJSON tiene coordenadas
+const tieneCoordenadas = (ubicacion) => Boolean(ubicacion && Array.isArray(ubicacion.coordinates) &&
+  ubicacion.coordinates.length === 2);
+
+// Función para calcular el punto que se guarda en ubicacionAproximada, o
+// undefined si no hay ubicación
+const calcularUbicacionAproximada = (ubicacion, semilla) => {
+  if (!tieneCoordenadas(ubicacion)) return undefined;
+
+  const { coordinates } = aproximarUbicacion({ type: 'Point', coordinates: [...ubicacion.coordinates] }, semilla);
+  return { type: 'Point', coordinates };
+};
+
+// Función para obtener la ubicación que se muestra a quien no puede ver la
+// exacta. Se usa la aproximada guardada, la misma con la que se filtran las
+// búsquedas, aunque después cambie LOCATION_PRIVACY_SECRET (un segundo punto
+// permitiría promediar). Sin ella se calcula al momento.
+const ubicacionPublica = (ubicacion, guardada, semilla) => {
+  if (MODO_UBICACION === 'off' || !tieneCoordenadas(ubicacion) || !tieneCoordenadas(guardada)) {
+    return aproximarUbicacion(ubicacion, semilla);
+  }
+
+  return { ...ubicacion, coordinates: [...guardada.coordinates], aproximada: true };
+};
+
+// Función para agregar a un esquema el campo ubicacionAproximada, con su índice
+// 2dsphere, y mantenerlo al día cuando cambia la ubicación (con save o con
+// findOneAndUpdate por _id). El prefijo forma la semilla: "user" o "service".
+// El estático completarUbicacionesAproximadas() lo calcula para los documentos
+// guardados antes de que existiera el campo.
+const agregarUbicacionAproximada = (schema, prefijo) => {
+  schema.add({
+    ubicacionAproximada: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  });
+
+  schema.index({ ubicacionAproximada: '2dsphere' });
+
+  schema.pre('save', function(next) {
+    if (this.isModified('ubicacion')) {
+      this.ubicacionAproximada = calcularUbicacionAproximada(this.ubicacion, `${prefijo}:${this._id}`);
+    }
+    next();
+  });
+
+  schema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const ubicacion = update.$set && update.$set.ubicacion !== undefined ? update.$set.ubicacion : update.ubicacion;
+    const id = this.getQuery()._id;
+
+    if (ubicacion === undefined || !id) return next();
+
+    const aproximada = calcularUbicacionAproximada(ubicacion, `${prefijo}:${id}`);
+    if (aproximada) {
+      this.set('ubicacionAproximada', aproximada);
+    } else {
+      this.setUpdate({ ...update, $unset: { ...update.$unset, ubicacionAproximada: 1 } });
+    }
+    next();
+  });
+
+  schema.statics.completarUbicacionesAproximadas = async function() {
+    const documentos = await this.find({
+      'ubicacion.coordinates.1': { $exists: true },
+      ubicacionAproximada: { $exists: false }
+    }).select('ubicacion').lean();
+
+    if (documentos.length > 0) {
+      await this.bulkWrite(documentos.map(documento => ({
+        updateOne: {
+          filter: { _id: documento._id },
+          update: {
+            $set: { ubicacionAproximada: calcularUbicacionAproximada(documento.ubicacion, `${prefijo}:${documento._id}`) }
+          }
+        }
+      })));
+    }
+
+    return documentos.length;
+  };
+};
+
+// Función para obtener el ID de una referencia, poblada o no
+const idDe = (referencia) => {
+  if (!referencia) return null;
+  return (referencia._id || referencia).toString();
+};
+
+module.exports = {
+  CELDA_MINIMA_GRADOS,
+  RADIO_MINIMO_KM,
+  obtenerVisor,
+  visorPropio,
+  asignarVisor,
+  aproximarUbicacion,
+  ubicacionPublica,
+  agregarUbicacionAproximada,
+  idDe
+};
@@ -0,0 +1,110 @@
+const { skills: catalogo } = require('../config/skills.json');
+
+// Catálogo de skills (config/skills.json). Cada skill tiene una clave, un nombre
+// canónico, las categorías de servicio con las que se relaciona y sus sinónimos.
+// Las skills de los usuarios se guardan con el nombre canónico cuando coinciden
+// con el catálogo; las demás se conservan tal como se escribieron.
+
+// Función para normalizar un texto antes de compararlo: sin acentos, en
+// minúsculas y con espacios simples
+const normalizarTexto = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Índice de cada forma normalizada (clave, nombre y sinónimos) a su skill
+const indice = new Map();
+catalogo.forEach(skill => {
+  [skill.clave, skill.nombre, ...skill.sinonimos].forEach(forma => {
+    const normalizada = normalizarTexto(forma);
+    const existente = indice.get(normalizada);
+    if (existente && existente !== skill) {
+      throw new Error(`config/skills.json: "${forma}" aparece en ${existente.clave} y en ${skill.clave}`);
+    }
+    indice.set(normalizada, skill);
+  });
+});
+
+// Función para escapar un texto para usarlo dentro de una expresión regular
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Función para buscar la skill del catálogo que corresponde a un texto
+// (clave, nombre o sinónimo, sin importar acentos ni mayúsculas)
+const buscarSkill = (texto) => indice.get(normalizarTexto(texto)) || null;
+
+// Función para normalizar las skills de un usuario: usa el nombre del catálogo
+// cuando lo hay, limpia los espacios y elimina los duplicados
+const normalizarSkills = (skills = []) => {
+  const vistas = new Set();
+
+  return skills.reduce((resultado, texto) => {
+    const skill = buscarSkill(texto);
+    const nombre = skill ? skill.nombre : String(texto).replace(/\s+/g, ' ').trim();
+    const normalizado = normalizarTexto(nombre);
+
+    if (normalizado && !vistas.has(normalizado)) {
+      vistas.add(normalizado);
+      resultado.push(nombre);
+    }
+    return resultado;
+  }, []);
+};
+
+// Función para autocompletar: devuelve las skills cuyo nombre o algún sinónimo
+// empieza por el texto (o tiene una palabra que empieza por él), y después las
+// que lo contienen. Incluye el sinónimo que coincidió, si no fue el nombre.
+const sugerirSkills = (texto, { categoria, limite } = {}) => {
+  const buscado = normalizarTexto(texto);
+  const skills = catalogo.filter(skill => !categoria || skill.categorias.includes(categoria));
+
+  const sugerencias = skills
+    .map(skill => {
+      const formas = [skill.nombre, ...skill.sinonimos];
+      let mejor = null;
+
+      formas.forEach((forma, posicion) => {
+        const normalizada = normalizarTexto(forma);
+        let prioridad = null;
+        if (normalizada.startsWith(buscado)) prioridad = 0;
+        else if (normalizada.split(' ').some(palabra => palabra.startsWith(buscado))) prioridad = 1;
+        else if (normalizada.includes(buscado)) prioridad = 2;
+
+        // A igual prioridad se prefiere el nombre sobre los sinónimos
+        if (prioridad !== null && (!mejor || prioridad < mejor.prioridad)) {
+          mejor = { prioridad, coincidencia: posicion === 0 ? undefined : forma };
+        }
+      });
+
+      return mejor && {
+        prioridad: mejor.prioridad,
+        clave: skill.clave,
+        nombre: skill.nombre,
+        categorias: skill.categorias,
+        coincidencia: mejor.coincidencia
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.prioridad - b.prioridad || a.nombre.localeCompare(b.nombre, 'es'))
+    .map(({ prioridad, ...sugerencia }) => sugerencia);
+
+  return limite ? sugerencias.slice(0, limite) : sugerencias;
+};
+
+// Función para obtener el filtro de MongoDB de los usuarios con una skill. Con
+// una skill del catálogo también busca sus sinónimos, para los perfiles
+// guardados antes de normalizar las skills.
+const filtroDeSkill = (texto) => {
+  const skill = buscarSkill(texto);
+  const formas = skill ? [skill.nombre, ...skill.sinonimos] : [String(texto).trim()];
+  return { $in: formas.map(forma => new RegExp(`^${escaparRegex(forma)}$`, 'i')) };
+};
+
+module.exports = {
+  normalizarTexto,
+  buscarSkill,
+  normalizarSkills,
+  sugerirSkills,
+  filtroDeSkill
+};
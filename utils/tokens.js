@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const OneTimeToken = require('../models/OneTimeToken');
+const { UnauthorizedError } = require('./errors');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+// Audiencia de los tokens de desafío, para que no sirvan como access token
+const AUDIENCIA_DESAFIO = 'localaid-2fa';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Función para obtener el hash con el que se guardan los refresh tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Función para generar un access token JWT de corta duración ligado a una sesión
+const generateAccessToken = (userId, familia) => {
+  return jwt.sign({ userId, familia }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Función para emitir un refresh token dentro de una familia (sesión)
+const emitirRefreshToken = async (userId, familia, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    usuario: userId,
+    tokenHash: hashToken(refreshToken),
+    familia,
+    expiraEn: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined
+  });
+
+  return refreshToken;
+};
+
+// Función para iniciar una nueva sesión y devolver el par de tokens
+const crearSesion = async (userId, req) => {
+  const familia = crypto.randomUUID();
+  const refreshToken = await emitirRefreshToken(userId, familia, req);
+
+  return {
+    token: generateAccessToken(userId, familia),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Función para emitir el token de desafío del segundo paso del login. Solo
+// sirve para canjearlo junto con un código válido en POST /api/auth/2fa/verify.
+const crearDesafioDosFactores = (userId) => {
+  return {
+    challengeToken: jwt.sign({ userId }, process.env.JWT_SECRET, {
+      expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+      audience: AUDIENCIA_DESAFIO
+    }),
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  };
+};
+
+// Función para verificar un token de desafío. Devuelve el ID del usuario.
+const verificarDesafioDosFactores = (challengeToken) => {
+  try {
+    return jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: AUDIENCIA_DESAFIO }).userId;
+  } catch (error) {
+    throw new UnauthorizedError('INVALID_CHALLENGE_TOKEN');
+  }
+};
+
+// Función para revocar todos los tokens de una sesión
+const revocarSesion = async (familia) => {
+  await RefreshToken.updateMany(
+    { familia, revocadoEn: null },
+    { revocadoEn: new Date() }
+  );
+};
+
+// Función para revocar todas las sesiones de un usuario
+const revocarSesionesUsuario = async (userId) => {
+  await RefreshToken.updateMany(
+    { usuario: userId, revocadoEn: null },
+    { revocadoEn: new Date() }
+  );
+};
+
+// Función para verificar que una sesión sigue activa
+const sesionActiva = async (familia) => {
+  if (!familia) return false;
+
+  const existe = await RefreshToken.exists({
+    familia,
+    revocadoEn: null,
+    expiraEn: { $gt: new Date() }
+  });
+
+  return Boolean(existe);
+};
+
+// Función para rotar un refresh token. Si se presenta un token ya usado se
+// asume que fue robado y se revoca toda la familia.
+const rotarRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Marcar el token como usado de forma atómica para evitar rotaciones concurrentes
+  const storedToken = await RefreshToken.findOneAndUpdate(
+    {
+      tokenHash,
+      usadoEn: null,
+      revocadoEn: null,
+      expiraEn: { $gt: new Date() }
+    },
+    { usadoEn: new Date() },
+    { new: true }
+  );
+
+  if (!storedToken) {
+    const tokenUsado = await RefreshToken.findOne({ tokenHash, usadoEn: { $ne: null } });
+
+    if (tokenUsado) {
+      await revocarSesion(tokenUsado.familia);
+      throw new UnauthorizedError('REFRESH_TOKEN_REUSED');
+    }
+
+    throw new UnauthorizedError('INVALID_REFRESH_TOKEN');
+  }
+
+  const nuevoRefreshToken = await emitirRefreshToken(storedToken.usuario, storedToken.familia, req);
+
+  return {
+    userId: storedToken.usuario,
+    token: generateAccessToken(storedToken.usuario, storedToken.familia),
+    refreshToken: nuevoRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Función para emitir un token de un solo uso (p. ej. restablecer contraseña)
+// ligado al email al que se envía. Invalida los tokens pendientes del mismo tipo
+// para el usuario.
+const crearTokenUnUso = async (userId, tipo, minutosValidez, email) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ahora = new Date();
+
+  await OneTimeToken.updateMany(
+    { usuario: userId, tipo, usadoEn: null },
+    { usadoEn: ahora }
+  );
+
+  await OneTimeToken.create({
+    usuario: userId,
+    tipo,
+    email,
+    tokenHash: hashToken(token),
+    expiraEn: new Date(ahora.getTime() + minutosValidez * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Función para invalidar los tokens de un solo uso pendientes de un usuario
+// (p. ej. al cambiar de email)
+const invalidarTokensUnUso = (userId) => OneTimeToken.updateMany(
+  { usuario: userId, usadoEn: null },
+  { usadoEn: new Date() }
+);
+
+// Función para consumir un token de un solo uso. Devuelve el token (usuario y
+// email al que se envió) o null si no existe, ya fue usado o expiró.
+const consumirTokenUnUso = async (token, tipo) => {
+  const storedToken = await OneTimeToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      tipo,
+      usadoEn: null,
+      expiraEn: { $gt: new Date() }
+    },
+    { usadoEn: new Date() },
+    { new: true }
+  );
+
+  return storedToken;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  crearSesion,
+  crearDesafioDosFactores,
+  verificarDesafioDosFactores,
+  rotarRefreshToken,
+  revocarSesion,
+  revocarSesionesUsuario,
+  sesionActiva,
+  crearTokenUnUso,
+  invalidarTokensUnUso,
+  consumirTokenUnUso
+};
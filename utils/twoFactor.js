@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+// Autenticación en dos pasos con códigos TOTP (RFC 6238) compatibles con
+// Google Authenticator, Authy, etc.: HMAC-SHA1, 6 dígitos y pasos de 30 segundos.
+
+const EMISOR = process.env.TOTP_ISSUER || 'LOCALAID';
+const DIGITOS = 6;
+const PERIODO_SEGUNDOS = 30;
+// Pasos de tolerancia antes y después del actual por desfase de reloj
+const TOLERANCIA_PASOS = 1;
+const TOTAL_CODIGOS_RECUPERACION = 10;
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Función para codificar bytes en base32 (formato de los secretos TOTP)
+const aBase32 = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let resultado = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    resultado += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return resultado;
+};
+
+// Función para decodificar un secreto en base32
+const desdeBase32 = (texto) => {
+  const bits = texto
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map(caracter => ALFABETO_BASE32.indexOf(caracter).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Función para generar un secreto TOTP nuevo (160 bits en base32)
+const generarSecreto = () => aBase32(crypto.randomBytes(20));
+
+// Función para obtener el paso de tiempo actual
+const pasoActual = () => Math.floor(Date.now() / 1000 / PERIODO_SEGUNDOS);
+
+// Función para calcular el código TOTP de un secreto en un paso de tiempo
+const generarCodigo = (secreto, paso = pasoActual()) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac('sha1', desdeBase32(secreto)).update(contador).digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+  const numero = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+
+  return String(numero % 10 ** DIGITOS).padStart(DIGITOS, '0');
+};
+
+// Función para verificar un código TOTP. Devuelve el paso en el que coincide o
+// null. Los códigos de pasos ya usados (ultimoPaso) se rechazan para evitar que
+// un mismo código se reutilice.
+const verificarCodigo = (secreto, codigo, ultimoPaso = -1) => {
+  if (!secreto || typeof codigo !== 'string' || !/^\d{6}$/.test(codigo)) return null;
+
+  const actual = pasoActual();
+  for (let paso = actual - TOLERANCIA_PASOS; paso <= actual + TOLERANCIA_PASOS; paso++) {
+    const esperado = Buffer.from(generarCodigo(secreto, paso));
+    if (paso > ultimoPaso && crypto.timingSafeEqual(esperado, Buffer.from(codigo))) {
+      return paso;
+    }
+  }
+  return null;
+};
+
+// Función para construir la URI otpauth:// que se muestra como código QR
+const uriOtpauth = (secreto, cuenta) => {
+  const etiqueta = `${encodeURIComponent(EMISOR)}:${encodeURIComponent(cuenta)}`;
+  const params = new URLSearchParams({
+    secret: secreto,
+    issuer: EMISOR,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS)
+  });
+  return `otpauth://totp/${etiqueta}?${params.toString()}`;
+};
+
+// Función para normalizar un código de recuperación (sin espacios ni guiones, en minúsculas)
+const normalizarCodigoRecuperacion = (codigo) => codigo.replace(/[\s-]/g, '').toLowerCase();
+
+// Función para generar códigos de recuperación. Devuelve los códigos en claro
+// (se muestran una sola vez) y sus hashes para guardarlos.
+const generarCodigosRecuperacion = () => {
+  const codigos = Array.from({ length: TOTAL_CODIGOS_RECUPERACION }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codigos,
+    hashes: codigos.map(codigo => hashToken(normalizarCodigoRecuperacion(codigo)))
+  };
+};
+
+// Función para verificar el segundo factor de un usuario con un código TOTP o
+// un código de recuperación. Actualiza el usuario (último paso usado o código
+// de recuperación consumido) y devuelve 'totp', 'recuperacion' o null.
+// El llamador debe guardar el usuario.
+const verificarSegundoFactor = (user, codigo) => {
+  if (typeof codigo !== 'string' || !user.dosFactores || !user.dosFactores.secreto) return null;
+
+  const paso = verificarCodigo(user.dosFactores.secreto, codigo.trim(), user.dosFactores.ultimoPaso);
+  if (paso !== null) {
+    user.dosFactores.ultimoPaso = paso;
+    return 'totp';
+  }
+
+  const hash = hashToken(normalizarCodigoRecuperacion(codigo));
+  const indice = user.dosFactores.codigosRecuperacion.indexOf(hash);
+  if (indice !== -1) {
+    user.dosFactores.codigosRecuperacion.splice(indice, 1);
+    return 'recuperacion';
+  }
+
+  return null;
+};
+
+module.exports = {
+  generarSecreto,
+  generarCodigo,
+  verificarCodigo,
+  uriOtpauth,
+  generarCodigosRecuperacion,
+  verificarSegundoFactor
+};
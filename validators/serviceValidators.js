@@ -0,0 +1,52 @@
+const Service = require('../models/Service');
+
+// Campos que el creador puede definir. El estado, el creador, la asignación y
+// los campos de moderación o eliminación se gestionan desde sus propias rutas.
+const camposServicio = {
+  titulo: {
+    type: 'string',
+    required: [true, 'TITLE_REQUIRED'],
+    maxlength: Service.schema.path('titulo').options.maxlength
+  },
+  descripcion: {
+    type: 'string',
+    required: [true, 'DESCRIPTION_REQUIRED'],
+    maxlength: Service.schema.path('descripcion').options.maxlength
+  },
+  categoria: {
+    type: 'string',
+    required: [true, 'CATEGORY_REQUIRED'],
+    enum: Service.schema.path('categoria').options.enum
+  },
+  ubicacion: {
+    type: 'point',
+    clearable: true
+  },
+  precio: {
+    type: 'number',
+    min: Service.schema.path('precio').options.min
+  },
+  moneda: {
+    type: 'string',
+    enum: Service.schema.path('moneda').options.enum
+  },
+  duracionEstimada: {
+    type: 'number',
+    min: Service.schema.path('duracionEstimada').options.min
+  },
+  unidadDuracion: {
+    type: 'string',
+    enum: Service.schema.path('unidadDuracion').options.enum
+  }
+};
+
+// POST /api/services
+const createServiceSchema = camposServicio;
+
+// PUT /api/services/:id
+const updateServiceSchema = camposServicio;
+
+module.exports = {
+  createServiceSchema,
+  updateServiceSchema
+};
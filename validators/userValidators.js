@@ -0,0 +1,80 @@
+const User = require('../models/User');
+
+// Reglas compartidas por el registro y la actualización del perfil.
+// Las expresiones y límites se toman del modelo para no duplicarlos.
+const camposPerfil = {
+  nombre: {
+    type: 'string',
+    required: [true, 'NAME_EMPTY'],
+    maxlength: User.schema.path('nombre').options.maxlength
+  },
+  email: {
+    type: 'string',
+    required: [true, 'EMAIL_EMPTY'],
+    lowercase: true,
+    match: User.schema.path('email').options.match
+  },
+  telefono: {
+    type: 'string',
+    clearable: true,
+    match: User.schema.path('telefono').options.match
+  },
+  skills: {
+    type: 'array'
+  },
+  ubicacion: {
+    type: 'point',
+    clearable: true
+  },
+  radioServicioKm: {
+    type: 'number',
+    clearable: true,
+    min: User.schema.path('radioServicioKm').options.min,
+    max: User.schema.path('radioServicioKm').options.max
+  },
+  monedaPreferida: {
+    type: 'string',
+    clearable: true,
+    enum: User.schema.path('monedaPreferida').options.enum
+  }
+};
+
+// POST /api/users
+const createUserSchema = {
+  ...camposPerfil,
+  nombre: { ...camposPerfil.nombre, required: [true, 'NAME_REQUIRED'] },
+  email: { ...camposPerfil.email, required: [true, 'EMAIL_REQUIRED'] },
+  rol: {
+    type: 'string',
+    required: [true, 'ROLE_REQUIRED'],
+    enum: User.schema.path('rol').options.enum
+  },
+  password: {
+    type: 'string',
+    trim: false,
+    required: [true, 'PASSWORD_REQUIRED'],
+    minlength: User.schema.path('password').options.minlength
+  }
+};
+
+// PUT /api/users/me y PUT /api/users/profile (la contraseña tiene su propia ruta
+// y el rol no se puede cambiar)
+const updateUserSchema = camposPerfil;
+
+// PUT /api/users/me/privacidad
+const privacySchema = {
+  email: {
+    type: 'string',
+    enum: User.schema.path('privacidad.email').options.enum
+  },
+  telefono: {
+    type: 'string',
+    enum: User.schema.path('privacidad.telefono').options.enum
+  }
+};
+
+module.exports = {
+  createUserSchema,
+  updateUserSchema,
+  privacySchema
+};